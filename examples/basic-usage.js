@@ -9,22 +9,35 @@ const WebPilot = require('../src/pilot');
 const fs = require('fs');
 const path = require('path');
 
-// Helper to send a command and wait for result
-async function sendCommand(workDir, command, waitMs = 2000) {
+let nextCommandId = 1;
+
+// Helper to send a command and wait for its result
+async function sendCommand(workDir, command, timeoutMs = 30000) {
   const commandPath = path.join(workDir, 'command.txt');
   const resultPath = path.join(workDir, 'result.txt');
+  const id = nextCommandId++;
   
-  // Clear previous result
-  fs.writeFileSync(resultPath, '');
-  
-  // Write command
-  fs.writeFileSync(commandPath, command);
+  // Write command as a JSON envelope so the result can be matched by id.
+  // Writing a temp file and renaming it means Web Pilot never reads half a command.
+  const tempPath = `${commandPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ id, cmd: command }));
+  fs.renameSync(tempPath, commandPath);
   
-  // Wait for processing
-  await new Promise(r => setTimeout(r, waitMs));
+  // Poll until the result for this id is written
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    await new Promise(r => setTimeout(r, 200));
+    try {
+      const result = JSON.parse(fs.readFileSync(resultPath, 'utf-8'));
+      if (result.id === id) {
+        return result.payload;
+      }
+    } catch {
+      // Result not written yet (or still the plain-text READY message)
+    }
+  }
   
-  // Read result
-  return fs.readFileSync(resultPath, 'utf-8');
+  throw new Error(`Timed out waiting for result of: ${command}`);
 }
 
 async function main() {
@@ -61,7 +74,7 @@ async function main() {
   console.log('Screenshot:', result);
   
   // Navigate to another page
-  result = await sendCommand(workDir, 'goto:https://httpbin.org/html', 3000);
+  result = await sendCommand(workDir, 'goto:https://httpbin.org/html');
   console.log('Navigation:', result);
   
   // Get new page text
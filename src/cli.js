@@ -6,8 +6,14 @@
  */
 
 const WebPilot = require('./pilot');
+const ControlServer = require('./server');
+const McpServer = require('./mcp');
+const Daemon = require('./daemon');
 const path = require('path');
 
+// Subcommands that manage a pilot already running in the working directory
+const DAEMON_COMMANDS = ['status', 'stop', 'restart', 'logs'];
+
 function printUsage() {
   console.log(`
 ╔══════════════════════════════════════════════════════════════════╗
@@ -17,16 +23,38 @@ function printUsage() {
 
 USAGE:
   web-pilot [options] [url]
+  web-pilot mcp [options] [url]   Run as an MCP server over stdio
+  web-pilot status [--dir <path>] Show whether a pilot is running, its URL and last command
+  web-pilot stop [--dir <path>]   Stop the running pilot (closes the browser)
+  web-pilot restart [--dir <path>]
+                                  Stop it and start it again in the background
+  web-pilot logs [--lines <n>] [--follow] [--dir <path>]
+                                  Show the background log (web-pilot.log)
 
 OPTIONS:
   --url, -u <url>        Starting URL to navigate to
   --dir, -d <path>       Working directory for command/result files (default: current dir)
-  --browser <type>       Browser to use: chrome or edge (auto-detected if not specified)
+  --browser <type>       Browser to use: chrome, edge or chromium (auto-detected
+                         if not specified), or firefox/webkit (bundled engines)
   --profile <path>       Browser profile path (auto-detected if not specified)
   --no-profile           Disable profile - use fresh browser session
+  --state <file>         Load cookies/localStorage saved with state:save
+                         (a name like 'github' means states/github.json)
   --select-profile       Select and save browser profile (setup mode, then exit)
   --background           Run in background (detached process, recommended for LLM/Copilot)
   --headless             Run browser in headless mode
+  --continue-on-error    Keep running batch/script steps after one fails
+  --dialogs <policy>     Handle alert/confirm/prompt dialogs: accept, dismiss
+                         (default), or queue (wait for dialog:accept/dismiss)
+  --block <list>         Block requests at start (comma-separated: trackers,
+                         resource types like image/font/media, or URL globs)
+  --secrets <file>       Secrets for {{secret:NAME}} (JSON outside the working
+                         directory; default ~/.web-pilot/secrets.json, then
+                         environment variables)
+  --policy <file>        Safety policy JSON: allowed/denied URLs, no execute:,
+                         confirmation for submit/purchase/delete actions
+  --serve <port>         Also accept commands over localhost HTTP/WebSocket
+  --token <token>        Auth token for --serve (generated if not specified)
   --help, -h             Show this help message
 
 AUTO-DETECTION:
@@ -37,11 +65,19 @@ AUTO-DETECTION:
 EXAMPLES:
   web-pilot --select-profile   # First-time setup: select and save profile
   web-pilot --background       # Run in background (requires saved profile)
+  web-pilot status             # Is it running? Current URL, last command
+  web-pilot logs --follow      # Watch the background log
+  web-pilot stop               # Stop it (works on every platform)
   web-pilot                    # Auto-detect browser and profile
   web-pilot https://example.com
   web-pilot --no-profile       # Use fresh session without profile
+  web-pilot --headless --no-profile --state github   # Reuse a saved login
   web-pilot -u https://github.com -d ./output
   web-pilot --headless -u https://example.com
+  web-pilot --serve 9222 --token secret
+  web-pilot --block trackers,media,font
+  web-pilot --policy policy.json   # Restrict where and what the LLM can do
+  web-pilot mcp --headless     # MCP server for copilots (each command is a tool)
   web-pilot --browser edge
   web-pilot --profile "C:\\\\Users\\\\username\\\\AppData\\\\Local\\\\Google\\\\Chrome\\\\User Data"
   web-pilot --browser edge --profile "C:\\\\Users\\\\username\\\\AppData\\\\Local\\\\Microsoft\\\\Edge\\\\User Data"
@@ -54,20 +90,74 @@ HOW IT WORKS:
 
 COMMANDS:
   screenshot             Take a full-page screenshot
+  screenshot:annotated   Screenshot with numbered labels (click:#<label>)
+  screenshot:viewport    Screenshot just the visible part of the page
+  screenshot:<selector>  Screenshot a single element
+  screenshot:baseline:<name>  Save a screenshot as a named baseline
+  screenshot:compare:<name>   Diff a new screenshot against a baseline
   text                   Extract all visible text from the page
+  markdown[:<maxChars>]  Extract the main content as Markdown (paged)
+  markdown:page:<n>      Continue the last markdown extraction at page n
   html                   Save the page HTML
   url                    Get the current URL
   title                  Get the page title
   tables                 Extract all tables from the page
-  links                  Extract all links from the page
+  tables:json            Save each table to table-<n>.json (header-keyed rows)
+  tables:csv             Save each table to table-<n>.csv
+  table:<n|selector>     Get one table as JSON (append :csv for CSV)
+  extract:<schema>       Extract repeated items with a JSON selector schema
+  links[:<filter>]       List links, 50 per page (internal, external,
+                         match:<regex>, in:<selector>, page:<n>)
+  snapshot               List interactive elements with @refs
+  requests               List recent fetch/XHR requests
+  response:<n>           Show the response body of request n
+  network:start          Start recording network traffic
+  network:stop           Stop recording and save a HAR file
+  block:<pattern>        Block requests (URL glob, resource type, or trackers)
+  mock:<glob>:<file>     Answer matching requests with a file's contents
+  unroute[:<n>]          Remove route rule n (or all rules)
+  routes                 List active block/mock rules
+  console[:all]          Show console messages and page errors (new or all)
+  downloads              List downloaded files
+  state:save:<name>      Save cookies and localStorage to states/<name>.json
+  state:load:<name>      Load a saved state into the browser
+  cookies[:<domain>]     List cookies (optionally for one domain)
+  cookies:set:<cookie>   Set a cookie (name=value; Domain=..; Path=..)
+  cookies:clear[:<dom>]  Delete all cookies (or one domain's)
+  dialog                 Show the pending dialog and recent ones
+  dialog:accept[:<text>] Accept the pending dialog (text answers a prompt)
+  dialog:dismiss         Dismiss the pending dialog
+  dialog:policy:<policy> Handle dialogs by: accept, dismiss, or queue
+  confirm:<token>        Allow the next action the safety policy holds back
   goto:<url>             Navigate to a URL
-  click:<selector>       Click an element (CSS selector or text)
-  type:<selector>:<text> Type text into an input field
+  click:<selector>       Click an element (CSS selector, text, or @ref)
+  type:<selector>:<text> Type text into an input field (selector or @ref);
+                         {{secret:NAME}} types a secret without revealing it
+  typeslow:<sel>:<text>  Type with real key events, one key at a time
+  select:<sel>:<value>   Choose a dropdown option by value or label
+  check:<selector>       Check a checkbox or radio button
+  uncheck:<selector>     Uncheck a checkbox
+  press:<keys>           Press a key or combo (Enter, Control+A)
+  hover:<selector>       Move the mouse over an element
+  drag:<from>:<to>       Drag one element onto another
+  upload:<sel>:<path>    Set files on a file input (paths separated by |)
   wait:<seconds>         Wait for specified seconds
+  waitfor:selector:<sel>[:<state>]  Wait for an element (visible/hidden/...)
+  waitfor:text:<text>    Wait for text to appear
+  waitfor:url:<glob>     Wait for the URL to match a glob
+  waitfor:networkidle    Wait until the network is idle
+  waitfor:js:<expr>      Wait until an expression is truthy
   scroll:<direction>     Scroll the page (up/down/top/bottom)
+  run:<file>             Run a .pilot script file (one command per line)
+  export:playwright      Export the session as a Playwright test
+  export:pilot           Export the session as a replayable .pilot script
   back                   Go back in browser history
   forward                Go forward in browser history
   refresh                Refresh the current page
+  tabs                   List open tabs
+  newtab[:<url>]         Open a new tab and switch to it
+  switchtab:<n>          Switch to tab number n
+  closetab[:<n>]         Close tab n (default: the active tab)
   quit                   Close the browser and exit
 
 INTEGRATION WITH LLMs:
@@ -76,6 +166,13 @@ INTEGRATION WITH LLMs:
     
   To read the result:
     cat result.txt
+
+  With --serve, POST commands to the local server instead:
+    curl -X POST -H "Authorization: Bearer <token>" \\
+         -d '{"id":1,"cmd":"title"}' http://127.0.0.1:<port>/command
+
+  To send several commands at once, write one per line (or a JSON array);
+  each step gets its own entry in result.txt.
 `);
 }
 
@@ -88,7 +185,15 @@ function parseArgs(args) {
     selectProfile: false,
     browser: null, // Will be auto-detected if not specified
     profile: undefined, // undefined means auto-detect, null means disabled
-    autoProfile: true
+    autoProfile: true,
+    stopOnError: true,
+    serve: null,
+    block: [],
+    dialogPolicy: 'dismiss',
+    state: null,
+    secrets: null,
+    policy: null,
+    token: process.env.WEB_PILOT_TOKEN || null
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -105,10 +210,10 @@ function parseArgs(args) {
       config.workDir = path.resolve(args[++i]);
     } else if (arg === '--browser') {
       const browser = args[++i]?.toLowerCase();
-      if (browser === 'chrome' || browser === 'edge') {
+      if (['chrome', 'edge', 'chromium', 'firefox', 'webkit'].includes(browser)) {
         config.browser = browser;
       } else {
-        console.error(`Invalid browser: ${browser}. Use 'chrome' or 'edge'.`);
+        console.error(`Invalid browser: ${browser}. Use 'chrome', 'edge', 'chromium', 'firefox' or 'webkit'.`);
         process.exit(1);
       }
     } else if (arg === '--profile') {
@@ -117,12 +222,41 @@ function parseArgs(args) {
     } else if (arg === '--no-profile') {
       config.profile = null;
       config.autoProfile = false;
+    } else if (arg === '--state') {
+      // Paths are relative to where the CLI was run; bare names live in <workDir>/states
+      const state = args[++i] || '';
+      config.state = /[\\/]/.test(state) || state.toLowerCase().endsWith('.json') ? path.resolve(state) : state;
+    } else if (arg === '--secrets') {
+      config.secrets = path.resolve(args[++i] || '');
+    } else if (arg === '--policy') {
+      config.policy = path.resolve(args[++i] || '');
     } else if (arg === '--select-profile') {
       config.selectProfile = true;
     } else if (arg === '--background') {
       config.background = true;
     } else if (arg === '--headless') {
       config.headless = true;
+    } else if (arg === '--continue-on-error') {
+      config.stopOnError = false;
+    } else if (arg === '--dialogs') {
+      const policy = args[++i]?.toLowerCase();
+      if (policy === 'accept' || policy === 'dismiss' || policy === 'queue') {
+        config.dialogPolicy = policy;
+      } else {
+        console.error(`Invalid dialog policy: ${policy}. Use 'accept', 'dismiss' or 'queue'.`);
+        process.exit(1);
+      }
+    } else if (arg === '--serve') {
+      const port = parseInt(args[++i]);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        console.error(`Invalid port for --serve: ${args[i]}`);
+        process.exit(1);
+      }
+      config.serve = port;
+    } else if (arg === '--token') {
+      config.token = args[++i];
+    } else if (arg === '--block') {
+      config.block.push(...(args[++i] || '').split(',').map(item => item.trim()).filter(Boolean));
     } else if (!arg.startsWith('-') && !config.url) {
       // Treat positional argument as URL
       config.url = arg;
@@ -132,32 +266,113 @@ function parseArgs(args) {
   return config;
 }
 
+/**
+ * Run the pilot as an MCP stdio server
+ */
+async function runMcp(config) {
+  // stdout is reserved for protocol messages
+  console.log = console.error;
+
+  const pilot = new WebPilot({
+    workDir: config.workDir,
+    headless: config.headless,
+    browser: config.browser,
+    profile: config.profile,
+    autoProfile: config.autoProfile,
+    stopOnError: config.stopOnError,
+    block: config.block,
+    dialogPolicy: config.dialogPolicy,
+    state: config.state,
+    secrets: config.secrets,
+    policy: config.policy,
+    mcp: true
+  });
+
+  const daemon = claimWorkDir(config.workDir, pilot);
+  await pilot.initialize();
+
+  // Answer the MCP handshake while the browser is still starting
+  const ready = pilot.start(config.url);
+  ready.then(() => daemon.startHeartbeat(pilot), err => console.error('Error:', err.message));
+
+  new McpServer(pilot, ready).start();
+}
+
+/**
+ * Claim the working directory for this process (exiting if another pilot
+ * already has it) and close the browser cleanly when asked to stop
+ */
+function claimWorkDir(workDir, pilot) {
+  const daemon = new Daemon(workDir);
+  try {
+    daemon.acquire(process.argv.slice(2));
+  } catch (err) {
+    console.error(`\n❌ ${err.message}\n`);
+    process.exit(1);
+  }
+
+  // web-pilot stop sends SIGTERM; Playwright's own handler closes the browser but doesn't exit
+  process.once('SIGTERM', () => {
+    console.log('🛑 Stop requested - closing browser...');
+    pilot.close().catch(() => {}).then(() => process.exit(0));
+  });
+
+  return daemon;
+}
+
+/**
+ * Run a status/stop/restart/logs subcommand
+ */
+async function runDaemonCommand(name, args) {
+  const options = { lines: 50, follow: false };
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--lines' || args[i] === '-n') {
+      options.lines = parseInt(args[++i]) || options.lines;
+    } else if (args[i] === '--follow' || args[i] === '-f') {
+      options.follow = true;
+    } else {
+      rest.push(args[i]);
+    }
+  }
+
+  const daemon = new Daemon(parseArgs(rest).workDir);
+  switch (name) {
+    case 'status': return daemon.status();
+    case 'stop': return daemon.stop();
+    case 'restart': return daemon.restart();
+    default: return daemon.logs(options);
+  }
+}
+
 async function main() {
   const args = process.argv.slice(2);
+
+  if (args[0] === 'mcp') {
+    return runMcp(parseArgs(args.slice(1)));
+  }
+
+  if (DAEMON_COMMANDS.includes(args[0])) {
+    process.exitCode = await runDaemonCommand(args[0], args.slice(1));
+    return;
+  }
+
   const config = parseArgs(args);
 
   // If background mode requested, spawn detached process
   if (config.background) {
-    const { spawn } = require('child_process');
-    const fs = require('fs');
-    const path = require('path');
+    const daemon = new Daemon(config.workDir);
+    const running = daemon.getRunning();
+    if (running) {
+      console.error(`\n❌ Web Pilot is already running in ${config.workDir} (PID ${running.pid}).`);
+      console.error(`   Use 'web-pilot status', 'web-pilot stop' or 'web-pilot restart'.\n`);
+      process.exit(1);
+    }
     
-    // Remove --background flag from args
+    // Remove --background flag from args; output goes to web-pilot.log
     const childArgs = args.filter(arg => arg !== '--background');
-    
-    // Create log file for background process output
-    const logPath = path.join(config.workDir, 'web-pilot.log');
-    const logFd = fs.openSync(logPath, 'w');
-    
-    // Spawn detached process with output redirected to log file
-    const child = spawn(process.argv[0], [process.argv[1], ...childArgs], {
-      detached: true,
-      stdio: ['ignore', logFd, logFd],
-      cwd: config.workDir,
-      env: { ...process.env, WEB_PILOT_BACKGROUND: '1' }
-    });
-    
-    child.unref();
+    const { pid } = daemon.spawnBackground(childArgs, config.workDir);
+    const logPath = daemon.getLogPath();
     
     console.log(`
 ╔══════════════════════════════════════════════════════════════════╗
@@ -165,12 +380,13 @@ async function main() {
 ║         LLM-Driven Browser Automation & Control                  ║
 ╚══════════════════════════════════════════════════════════════════╝
 `);
-    console.log(`🚀 Web Pilot started in background (PID: ${child.pid})`);
+    console.log(`🚀 Web Pilot started in background (PID: ${pid})`);
     console.log(`📁 Working directory: ${config.workDir}`);
     console.log(`📄 Log file: ${logPath}`);
     console.log(`\n   The process is now detached and running in the background.`);
     console.log(`   Terminal is free for other commands!`);
-    console.log(`   Check ${path.basename(logPath)} for startup messages.\n`);
+    console.log(`   Check ${path.basename(logPath)} (or run 'web-pilot logs') for startup messages.`);
+    console.log(`   Stop it with 'web-pilot stop'.\n`);
     
     process.exit(0);
   }
@@ -191,7 +407,13 @@ async function main() {
     profile: config.profile,
     autoProfile: config.autoProfile,
     background: config.background,
-    selectProfile: config.selectProfile
+    selectProfile: config.selectProfile,
+    stopOnError: config.stopOnError,
+    block: config.block,
+    dialogPolicy: config.dialogPolicy,
+    state: config.state,
+    secrets: config.secrets,
+    policy: config.policy
   });
 
   await pilot.initialize();
@@ -203,7 +425,15 @@ async function main() {
     process.exit(0);
   }
   
+  const daemon = claimWorkDir(config.workDir, pilot);
   await pilot.start(config.url);
+  daemon.startHeartbeat(pilot);
+  
+  // Optional HTTP/WebSocket transport alongside the command file
+  if (config.serve !== null) {
+    const server = new ControlServer(pilot, { port: config.serve, token: config.token });
+    await server.start();
+  }
 }
 
 main().catch(err => {
@@ -0,0 +1,481 @@
+/**
+ * Web Pilot Daemon Lifecycle
+ *
+ * Keeps track of the pilot running in a working directory, so it can be
+ * managed from any terminal on any platform:
+ *
+ *   web-pilot status    Is it running? Uptime, current URL, last command
+ *   web-pilot stop      Close the browser and stop the pilot
+ *   web-pilot restart   Stop it and start it again in the background
+ *   web-pilot logs      Show (or --follow) web-pilot.log
+ *
+ * A running pilot owns two files in its working directory: a pidfile
+ * (.web-pilot.pid), written at start and used to refuse a second pilot on
+ * the same directory, and a heartbeat (.web-pilot-heartbeat.json), rewritten
+ * every few seconds with the current URL, the last command and whether the
+ * browser is still alive.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn, execFileSync } = require('child_process');
+
+// How often the heartbeat file is rewritten
+const HEARTBEAT_INTERVAL = 5000;
+
+// A heartbeat older than this means the pilot has stopped responding
+const STALE_AFTER = HEARTBEAT_INTERVAL * 3;
+
+// How long stop waits for the pilot to exit before killing it
+const STOP_TIMEOUT = 15000;
+
+// How long restart waits for the new pilot to claim the working directory
+const START_TIMEOUT = 30000;
+
+class Daemon {
+  constructor(workDir) {
+    this.workDir = workDir;
+    this.heartbeatTimer = null;
+    this.exitListener = null;
+    this.startedAt = null;
+  }
+
+  getPidPath() {
+    return path.join(this.workDir, '.web-pilot.pid');
+  }
+
+  getHeartbeatPath() {
+    return path.join(this.workDir, '.web-pilot-heartbeat.json');
+  }
+
+  getLogPath() {
+    return path.join(this.workDir, 'web-pilot.log');
+  }
+
+  /**
+   * Check whether a process exists
+   */
+  static isAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (err) {
+      // EPERM: it exists but belongs to someone else
+      return err.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Command line of a running process, or null where it can't be read
+   * (Windows, or the process has gone)
+   */
+  static getCommandLine(pid) {
+    try {
+      if (process.platform === 'linux') {
+        return fs.readFileSync(`/proc/${pid}/cmdline`, 'utf-8').split('\0').join(' ').trim();
+      }
+      if (process.platform !== 'win32') {
+        return execFileSync('ps', ['-o', 'command=', '-p', String(pid)], { encoding: 'utf-8', timeout: 2000 }).trim();
+      }
+    } catch {
+      // Fall through
+    }
+    return null;
+  }
+
+  /**
+   * Whether the process in a pidfile is still the pilot that wrote it, and
+   * not an unrelated process that was given the same PID later: its
+   * heartbeat must be fresh, or its command line must be web-pilot's with
+   * the arguments recorded in the pidfile
+   */
+  isPilot({ pid, args = [] }) {
+    if (!Daemon.isAlive(pid)) return false;
+    if (pid === process.pid) return true;
+
+    const heartbeat = Daemon.readJson(this.getHeartbeatPath());
+    if (heartbeat && heartbeat.pid === pid && Date.now() - Date.parse(heartbeat.updatedAt) < STALE_AFTER) {
+      return true;
+    }
+
+    const commandLine = Daemon.getCommandLine(pid);
+    if (commandLine === null) return process.platform === 'win32'; // Can't tell there
+    return /\bcli\.js\b|web-pilot/.test(commandLine) && commandLine.endsWith(args.join(' '));
+  }
+
+  /**
+   * Format seconds as e.g. "2h 5m 10s"
+   */
+  static formatDuration(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = Math.floor(seconds % 60);
+    if (h) return `${h}h ${m}m ${s}s`;
+    if (m) return `${m}m ${s}s`;
+    return `${s}s`;
+  }
+
+  /**
+   * Read a JSON file, or null if it is missing or unreadable
+   */
+  static readJson(filepath) {
+    try {
+      return JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Details of the pilot running in the working directory, or null.
+   * A pidfile left behind by a pilot that died (or whose PID now belongs
+   * to another process) is removed.
+   */
+  getRunning() {
+    const info = Daemon.readJson(this.getPidPath());
+    if (!info || !Number.isInteger(info.pid)) {
+      // Unreadable: being written right now, or left half-written by a crash
+      try {
+        if (Date.now() - fs.statSync(this.getPidPath()).mtimeMs > HEARTBEAT_INTERVAL) this.removeFiles();
+      } catch {
+        // No pidfile
+      }
+      return null;
+    }
+    if (!this.isPilot(info)) {
+      this.removeFiles();
+      return null;
+    }
+    return info;
+  }
+
+  /**
+   * Claim the working directory for this process. Throws if another
+   * pilot is already running there.
+   *
+   * @param {string[]} args - CLI arguments, so restart can reuse them
+   */
+  acquire(args) {
+    const alreadyRunning = pid => new Error(`Web Pilot is already running in ${this.workDir}${pid ? ` (PID ${pid})` : ''}.\n`
+      + `   Use 'web-pilot status', 'web-pilot stop' or 'web-pilot restart' with --dir ${this.workDir},\n`
+      + '   or pick another working directory with --dir.');
+
+    this.startedAt = new Date();
+    const data = JSON.stringify({
+      pid: process.pid,
+      startedAt: this.startedAt.toISOString(),
+      cwd: process.cwd(),
+      args,
+      background: Boolean(process.env.WEB_PILOT_BACKGROUND)
+    }, null, 2);
+
+    // Create the pidfile only if it doesn't exist, so two pilots starting
+    // at once can't both claim the directory
+    const claim = () => {
+      const fd = fs.openSync(this.getPidPath(), 'wx');
+      try {
+        fs.writeSync(fd, data);
+      } finally {
+        fs.closeSync(fd);
+      }
+    };
+
+    try {
+      claim();
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+
+      // Taken - unless by a pilot that died (getRunning removes its pidfile) or by us
+      const running = this.getRunning();
+      if (running && running.pid !== process.pid) throw alreadyRunning(running.pid);
+      if (running) this.removeFiles();
+      try {
+        claim();
+      } catch (retryErr) {
+        // Another pilot claimed it in between
+        if (retryErr.code === 'EEXIST') throw alreadyRunning(null);
+        throw retryErr;
+      }
+    }
+
+    // Clean up on quit, stop, or any other exit
+    this.exitListener = () => this.release();
+    process.once('exit', this.exitListener);
+  }
+
+  /**
+   * Give up the working directory (pidfile and heartbeat)
+   */
+  release() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    if (this.exitListener) {
+      process.off('exit', this.exitListener);
+      this.exitListener = null;
+    }
+    // Only remove files that are still ours
+    const info = Daemon.readJson(this.getPidPath());
+    if (!info || info.pid === process.pid) {
+      this.removeFiles();
+    }
+  }
+
+  /**
+   * Delete the pidfile and heartbeat
+   */
+  removeFiles() {
+    for (const filepath of [this.getPidPath(), this.getHeartbeatPath()]) {
+      try {
+        fs.unlinkSync(filepath);
+      } catch {
+        // Ignore if already removed
+      }
+    }
+  }
+
+  /**
+   * Write the heartbeat now and every HEARTBEAT_INTERVAL
+   */
+  startHeartbeat(pilot) {
+    let lastCommand = null;
+    let lastCommandAt = null;
+
+    const write = () => {
+      let url = null;
+      try {
+        url = pilot.page ? pilot.secrets.redact(pilot.page.url()) : null;
+      } catch {
+        // Page may be closed
+      }
+
+      const heartbeat = {
+        pid: process.pid,
+        startedAt: this.startedAt.toISOString(),
+        updatedAt: new Date().toISOString(),
+        uptimeSeconds: Math.round((Date.now() - this.startedAt.getTime()) / 1000),
+        url,
+        lastCommand,
+        lastCommandAt,
+        busy: Boolean(pilot.processingQueue),
+        browserAlive: pilot.isBrowserAlive()
+      };
+
+      try {
+        const tempPath = `${this.getHeartbeatPath()}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(heartbeat, null, 2));
+        fs.renameSync(tempPath, this.getHeartbeatPath());
+      } catch {
+        // Try again next beat
+      }
+    };
+
+    // Also beat when a command starts or finishes, so status is current
+    pilot.on('command', ({ command }) => {
+      lastCommand = command;
+      lastCommandAt = new Date().toISOString();
+      write();
+    });
+    pilot.on('result', write);
+
+    write();
+    this.heartbeatTimer = setInterval(write, HEARTBEAT_INTERVAL);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * Start a detached pilot with output going to web-pilot.log
+   *
+   * @param {string[]} args - CLI arguments (without --background)
+   * @param {string} cwd - Directory to run it in
+   * @returns {ChildProcess} The new process
+   */
+  spawnBackground(args, cwd) {
+    const logFd = fs.openSync(this.getLogPath(), 'w');
+    const child = spawn(process.execPath, [path.join(__dirname, 'cli.js'), ...args], {
+      detached: true,
+      stdio: ['ignore', logFd, logFd],
+      cwd,
+      env: { ...process.env, WEB_PILOT_BACKGROUND: '1' }
+    });
+    child.unref();
+    fs.closeSync(logFd);
+    return child;
+  }
+
+  /**
+   * Wait until a spawned pilot has claimed the working directory (browser
+   * launched, pidfile written). Returns false if it exited or timed out first.
+   */
+  async waitForStart(child) {
+    let exited = child.exitCode !== null;
+    child.once('exit', () => { exited = true; });
+
+    const deadline = Date.now() + START_TIMEOUT;
+    while (!exited && Date.now() < deadline) {
+      const info = Daemon.readJson(this.getPidPath());
+      if (info && info.pid === child.pid) return true;
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    return false;
+  }
+
+  /**
+   * Print the state of the pilot. Returns the exit code: 0 if running, 1 if not.
+   */
+  status() {
+    const running = this.getRunning();
+    if (!running) {
+      console.log(`⚪ Web Pilot is not running in ${this.workDir}`);
+      return 1;
+    }
+
+    const heartbeat = Daemon.readJson(this.getHeartbeatPath());
+    console.log(`🟢 Web Pilot is running (PID ${running.pid})`);
+    console.log(`   Working directory: ${this.workDir}`);
+    console.log(`   Uptime: ${Daemon.formatDuration((Date.now() - Date.parse(running.startedAt)) / 1000)}`);
+
+    if (!heartbeat) {
+      console.log('   Browser: starting (no heartbeat yet)');
+      return 0;
+    }
+
+    console.log(`   Browser: ${heartbeat.browserAlive ? 'alive' : 'not running'}`);
+    console.log(`   Current URL: ${heartbeat.url || '(none)'}`);
+    if (heartbeat.lastCommand) {
+      const ago = Daemon.formatDuration((Date.now() - Date.parse(heartbeat.lastCommandAt)) / 1000);
+      console.log(`   Last command: ${heartbeat.lastCommand} (${ago} ago${heartbeat.busy ? ', running' : ''})`);
+    } else {
+      console.log('   Last command: (none yet)');
+    }
+
+    const age = Date.now() - Date.parse(heartbeat.updatedAt);
+    if (age > STALE_AFTER) {
+      console.log(`⚠️  Last heartbeat was ${Daemon.formatDuration(age / 1000)} ago - the pilot may be stuck (try web-pilot restart)`);
+    }
+    return 0;
+  }
+
+  /**
+   * Stop the pilot, politely first: SIGTERM closes the browser and exits
+   * (on Windows, where signals can't be handled, a quit command is sent
+   * instead). If it is still running after STOP_TIMEOUT it is killed.
+   * Returns the exit code.
+   *
+   * @param {string} commandFile - Command file name, for the quit command
+   */
+  async stop(commandFile = 'command.txt') {
+    const running = this.getRunning();
+    if (!running) {
+      console.log(`⚪ Web Pilot is not running in ${this.workDir}`);
+      return 0;
+    }
+
+    console.log(`🛑 Stopping Web Pilot (PID ${running.pid})...`);
+    try {
+      if (process.platform === 'win32') {
+        fs.writeFileSync(path.join(this.workDir, commandFile), 'quit');
+      } else {
+        process.kill(running.pid, 'SIGTERM');
+      }
+    } catch (err) {
+      console.log(`⚠️  Could not ask it to stop: ${err.message}`);
+    }
+
+    const deadline = Date.now() + STOP_TIMEOUT;
+    while (Daemon.isAlive(running.pid) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    if (this.isPilot(running)) {
+      console.log(`⚠️  Still running after ${STOP_TIMEOUT / 1000}s - killing it`);
+      try {
+        process.kill(running.pid, 'SIGKILL');
+      } catch (err) {
+        console.error(`❌ Could not stop PID ${running.pid}: ${err.message}`);
+        return 1;
+      }
+    }
+
+    this.removeFiles();
+    console.log('✅ Web Pilot stopped');
+    return 0;
+  }
+
+  /**
+   * Stop the pilot and start it again in the background with the same
+   * options. Only background pilots can be restarted: an MCP server needs
+   * its client on stdin, and a foreground pilot may need the terminal
+   * (e.g. to pick a profile). Returns the exit code.
+   */
+  async restart(commandFile) {
+    const running = this.getRunning();
+    if (!running) {
+      console.log(`⚪ Web Pilot is not running in ${this.workDir} - nothing to restart`);
+      console.log('   Start it with: web-pilot --background');
+      return 1;
+    }
+
+    if (running.args[0] === 'mcp') {
+      console.log(`⚠️  Web Pilot (PID ${running.pid}) is an MCP server - restart it from its MCP client`);
+      return 1;
+    }
+    if (!running.background) {
+      console.log(`⚠️  Web Pilot (PID ${running.pid}) is running in the foreground - restart it in its terminal,`);
+      console.log(`   or stop it with 'web-pilot stop' and start it with --background`);
+      return 1;
+    }
+
+    const code = await this.stop(commandFile);
+    if (code !== 0) return code;
+
+    console.log('🚀 Starting Web Pilot in background...');
+    const child = this.spawnBackground(running.args.filter(arg => arg !== '--background'), running.cwd);
+    if (!(await this.waitForStart(child))) {
+      console.error(`❌ Web Pilot did not start (PID ${child.pid}) - see ${this.getLogPath()}`);
+      return 1;
+    }
+    console.log(`✅ Web Pilot restarted in background (PID: ${child.pid})`);
+    console.log(`📄 Log file: ${this.getLogPath()}`);
+    return 0;
+  }
+
+  /**
+   * Print the end of web-pilot.log, and with follow, keep printing new
+   * output until the pilot exits. Returns the exit code.
+   */
+  async logs({ lines = 50, follow = false } = {}) {
+    const logPath = this.getLogPath();
+    if (!fs.existsSync(logPath)) {
+      console.log(`⚪ No log file at ${logPath} (only --background runs write one)`);
+      return 1;
+    }
+
+    const text = fs.readFileSync(logPath, 'utf-8');
+    const tail = text.split('\n').slice(-(lines + 1)).join('\n');
+    process.stdout.write(tail);
+
+    if (!follow) return 0;
+
+    let position = Buffer.byteLength(text);
+    const running = this.getRunning();
+    while (running && Daemon.isAlive(running.pid)) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      const size = fs.existsSync(logPath) ? fs.statSync(logPath).size : 0;
+      if (size < position) position = 0; // Log was restarted
+      if (size > position) {
+        const fd = fs.openSync(logPath, 'r');
+        const chunk = Buffer.alloc(size - position);
+        fs.readSync(fd, chunk, 0, chunk.length, position);
+        fs.closeSync(fd);
+        process.stdout.write(chunk.toString('utf-8'));
+        position = size;
+      }
+    }
+    console.log('\n⚪ Web Pilot is not running');
+    return 0;
+  }
+}
+
+module.exports = Daemon;
@@ -0,0 +1,169 @@
+/**
+ * Web Pilot Visual Diff
+ *
+ * Compares two screenshots pixel by pixel for screenshot:compare. Produces
+ * a diff image (changes in red over a faded copy of the new screenshot),
+ * the share of pixels that changed, and bounding boxes around each changed
+ * region. Images of different sizes are compared over the larger area, with
+ * pixels present in only one of them counted as changed.
+ */
+
+// Per-channel difference (0-255) below which a pixel counts as unchanged,
+// so anti-aliasing and compression noise are ignored
+const DEFAULT_THRESHOLD = 24;
+
+// Changed pixels are grouped into regions on a grid of this many pixels
+const CELL_SIZE = 16;
+
+// Regions reported in detail
+const MAX_REGIONS = 10;
+
+/**
+ * Compare two RGBA images ({width, height, data}).
+ * Returns { width, height, changed, total, percent, regions, diff }.
+ */
+function compareImages(before, after, threshold = DEFAULT_THRESHOLD) {
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const diff = Buffer.alloc(width * height * 4);
+
+  const columns = Math.ceil(width / CELL_SIZE);
+  const rows = Math.ceil(height / CELL_SIZE);
+  // Tight bounds of the changed pixels in each grid cell (minX is -1 while unchanged)
+  const cells = {
+    minX: new Int32Array(columns * rows).fill(-1),
+    minY: new Int32Array(columns * rows),
+    maxX: new Int32Array(columns * rows),
+    maxY: new Int32Array(columns * rows)
+  };
+  let changed = 0;
+
+  const pixel = (image, x, y) => (x < image.width && y < image.height ? (y * image.width + x) * 4 : -1);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const a = pixel(before, x, y);
+      const b = pixel(after, x, y);
+      const o = (y * width + x) * 4;
+
+      let isChanged = a === -1 || b === -1;
+      if (!isChanged) {
+        for (let c = 0; c < 4; c++) {
+          if (Math.abs(before.data[a + c] - after.data[b + c]) > threshold) {
+            isChanged = true;
+            break;
+          }
+        }
+      }
+
+      if (isChanged) {
+        changed++;
+        const cell = Math.floor(y / CELL_SIZE) * columns + Math.floor(x / CELL_SIZE);
+        if (cells.minX[cell] === -1) {
+          cells.minX[cell] = x;
+          cells.minY[cell] = y;
+          cells.maxX[cell] = x;
+          cells.maxY[cell] = y;
+        } else {
+          cells.minX[cell] = Math.min(cells.minX[cell], x);
+          cells.maxX[cell] = Math.max(cells.maxX[cell], x);
+          cells.maxY[cell] = y;
+        }
+        diff[o] = 255;
+        diff[o + 1] = 0;
+        diff[o + 2] = 0;
+      } else {
+        // Faded greyscale of the new screenshot for context
+        const source = b !== -1 ? after : before;
+        const s = b !== -1 ? b : a;
+        const grey = 0.299 * source.data[s] + 0.587 * source.data[s + 1] + 0.114 * source.data[s + 2];
+        diff[o] = diff[o + 1] = diff[o + 2] = Math.round(255 - (255 - grey) * 0.3);
+      }
+      diff[o + 3] = 255;
+    }
+  }
+
+  const total = width * height;
+  return {
+    width,
+    height,
+    changed,
+    total,
+    percent: total ? (changed / total) * 100 : 0,
+    regions: findRegions(cells, columns, rows),
+    diff: { width, height, data: diff }
+  };
+}
+
+/**
+ * Group neighbouring changed grid cells into regions and return their
+ * bounding boxes, largest first
+ */
+function findRegions(cells, columns, rows) {
+  const regions = [];
+  const seen = new Uint8Array(columns * rows);
+  const isChanged = index => cells.minX[index] !== -1;
+
+  for (let start = 0; start < seen.length; start++) {
+    if (!isChanged(start) || seen[start]) continue;
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -1;
+    let maxY = -1;
+    const stack = [start];
+    seen[start] = 1;
+
+    while (stack.length) {
+      const index = stack.pop();
+      minX = Math.min(minX, cells.minX[index]);
+      minY = Math.min(minY, cells.minY[index]);
+      maxX = Math.max(maxX, cells.maxX[index]);
+      maxY = Math.max(maxY, cells.maxY[index]);
+
+      // Diagonal neighbours too, so thin slanted changes stay one region
+      const cx = index % columns;
+      const cy = Math.floor(index / columns);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = cx + dx;
+          const ny = cy + dy;
+          if (nx < 0 || ny < 0 || nx >= columns || ny >= rows) continue;
+          const next = ny * columns + nx;
+          if (isChanged(next) && !seen[next]) {
+            seen[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+
+    regions.push({ x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 });
+  }
+
+  return regions.sort((a, b) => b.width * b.height - a.width * a.height);
+}
+
+/**
+ * Describe a comparison for a command result
+ */
+function describeComparison(result) {
+  const lines = [
+    `${result.percent.toFixed(2)}% of pixels changed (${result.changed} of ${result.total})`
+  ];
+  if (result.regions.length) {
+    lines.push(`Changed regions (${result.regions.length}, as x,y widthxheight):`);
+    result.regions.slice(0, MAX_REGIONS).forEach((region, i) => {
+      lines.push(`  ${i + 1}. ${region.x},${region.y} ${region.width}x${region.height}`);
+    });
+    if (result.regions.length > MAX_REGIONS) {
+      lines.push(`  ... and ${result.regions.length - MAX_REGIONS} smaller regions`);
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  compareImages,
+  describeComparison
+};
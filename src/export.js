@@ -0,0 +1,326 @@
+/**
+ * Web Pilot Session Export
+ *
+ * Turns a recorded session transcript (see WebPilot.recordCommand) into a
+ * script that replays it without an LLM: either a .pilot script for run:,
+ * or a standalone Playwright test.
+ *
+ * Only successful commands that change the page are exported. Read-only
+ * commands (text, links, snapshot, ...) are skipped, and element targets
+ * are replaced by the locator that actually matched during the session,
+ * so text-fallback clicks and snapshot refs replay reliably.
+ */
+
+const path = require('path');
+const { splitPlaceholders } = require('./secrets');
+const { splitTarget } = require('./selectors');
+
+// Commands that only read the page (or control the pilot) and are not replayed
+const SKIPPED_COMMANDS = new Set([
+  'text', 'markdown', 'html', 'url', 'title', 'tables', 'table', 'extract', 'links', 'snapshot', 'tabs',
+  'requests', 'response', 'network', 'routes', 'console', 'downloads', 'dialog', 'confirm', 'run', 'export', 'quit'
+]);
+
+// Commands whose first argument is an element target
+const TARGET_COMMANDS = new Set([
+  'click', 'type', 'typeslow', 'select', 'check', 'uncheck', 'hover', 'upload'
+]);
+
+// Commands whose whole argument is the target (no trailing value)
+const WHOLE_TARGET_COMMANDS = new Set(['click', 'check', 'uncheck', 'hover', 'screenshot']);
+
+// screenshot:<mode> arguments that are not element targets
+const SCREENSHOT_MODES = new Set(['annotated', 'viewport', 'baseline', 'compare']);
+
+// Written (as a comment) in place of a step whose target only existed in the recorded session
+const UNSTABLE_REF_NOTE = '(snapshot ref without a stable selector - skipped)';
+
+/**
+ * Whether a target is a snapshot ref (@12) or annotated-screenshot label (#12)
+ */
+function isRef(target) {
+  return /^[@#]\d+$/.test(target.trim());
+}
+
+/**
+ * Whether a target only works in the recorded session: a ref that was never
+ * resolved, or one that had no stable selector
+ */
+function isSessionOnly(target) {
+  return isRef(target) || target.startsWith('[data-pilot-ref=');
+}
+
+/**
+ * Split a recorded command into its name, target(s) and value, substituting
+ * the resolved locators recorded for the step
+ */
+function parseEntry(entry) {
+  const separator = entry.command.indexOf(':');
+  const name = (separator === -1 ? entry.command : entry.command.substring(0, separator)).toLowerCase();
+  const args = separator === -1 ? '' : entry.command.substring(separator + 1);
+  const targets = entry.targets || [];
+  const resolve = (original, index) => (targets[index] && targets[index].original === original.trim()
+    ? targets[index].resolved
+    : original.trim());
+
+  if (name === 'screenshot' && (!args.trim() || SCREENSHOT_MODES.has(args.split(':')[0].trim().toLowerCase()))) {
+    return { name, target: null, value: args.trim() };
+  }
+
+  if (WHOLE_TARGET_COMMANDS.has(name)) {
+    return { name, target: resolve(args, 0), value: '' };
+  }
+
+  if (TARGET_COMMANDS.has(name) || name === 'drag') {
+    const [first, rest] = splitTarget(args);
+    if (name === 'drag') {
+      return { name, target: resolve(first, 0), value: resolve(rest, 1) };
+    }
+    return { name, target: resolve(first, 0), value: rest };
+  }
+
+  return { name, target: null, value: args.trim() };
+}
+
+/**
+ * Whether a parsed entry targets an element that only existed in the session
+ */
+function hasSessionOnlyTarget({ name, target, value }) {
+  return [target, name === 'drag' ? value : null].some(item => item && isSessionOnly(item));
+}
+
+/**
+ * The element a waitfor:selector: condition waits for, with a recorded ref
+ * swapped for its locator, as {timeout, selector, state} - or null for
+ * other conditions
+ */
+function parseWaitSelector(args, targets) {
+  const timeoutMatch = args.match(/^(\d+(?:\.\d+)?)s:/);
+  const rest = timeoutMatch ? args.substring(timeoutMatch[0].length) : args;
+  const kindMatch = rest.match(/^\s*selector\s*:/i);
+  if (!kindMatch) return null;
+
+  const value = rest.substring(kindMatch[0].length);
+  const stateMatch = value.match(/:(visible|hidden|attached|detached)$/i);
+  const original = (stateMatch ? value.substring(0, value.length - stateMatch[0].length) : value).trim();
+  const recorded = targets.find(target => target.original === original);
+  return {
+    timeout: timeoutMatch ? parseFloat(timeoutMatch[1]) : null,
+    selector: recorded ? recorded.resolved : original,
+    state: stateMatch ? stateMatch[1].toLowerCase() : null
+  };
+}
+
+/**
+ * Successful, replayable entries from a session
+ */
+function replayableEntries(session) {
+  return session.filter((entry) => {
+    if (entry.status !== 'ok') return false;
+    const name = entry.command.split(':')[0].toLowerCase();
+    return !SKIPPED_COMMANDS.has(name);
+  });
+}
+
+/**
+ * Build a .pilot script from a session
+ */
+function toPilotScript(session) {
+  const lines = [
+    `# Recorded by web-pilot on ${new Date().toISOString()}`,
+    '# Replay with: run:<this file>',
+    ''
+  ];
+
+  const entries = replayableEntries(session);
+  for (const entry of entries) {
+    const parsed = parseEntry(entry);
+    const { name, target, value } = parsed;
+    const wait = name === 'waitfor' ? parseWaitSelector(value, entry.targets || []) : null;
+
+    if (hasSessionOnlyTarget(parsed) || (wait && isSessionOnly(wait.selector))) {
+      lines.push(`# ${entry.command.replace(/\n/g, ' ')}`, `# ${UNSTABLE_REF_NOTE}`);
+      continue;
+    }
+    if (wait) {
+      const timeout = wait.timeout === null ? '' : `${wait.timeout}s:`;
+      lines.push(`waitfor:${timeout}selector:${wait.selector}${wait.state ? `:${wait.state}` : ''}`);
+      continue;
+    }
+    if (target === null) {
+      lines.push(entry.command);
+      continue;
+    }
+
+    // Refs and labels don't survive a reload, so always swap them for the resolved locator.
+    // Other targets keep their original form when the locator wouldn't split back out
+    // of the command intact.
+    const original = parseEntry({ command: entry.command });
+    const pick = (resolved, unresolved) => (isRef(unresolved) || splitTarget(`${resolved}:x`)[0] === resolved
+      ? resolved
+      : unresolved);
+
+    const parts = [name, pick(target, original.target)];
+    if (name === 'drag') {
+      parts.push(pick(value, original.value));
+    } else if (!WHOLE_TARGET_COMMANDS.has(name)) {
+      parts.push(value);
+    }
+    lines.push(parts.join(':'));
+  }
+
+  return { script: lines.join('\n') + '\n', steps: entries.length };
+}
+
+/**
+ * JavaScript expression for typed text, with {{secret:NAME}} placeholders
+ * read from environment variables rather than written into the script
+ */
+function toTextExpression(value) {
+  const parts = splitPlaceholders(value);
+  if (parts.length === 1) return JSON.stringify(value);
+  return parts
+    .map((part, i) => (i % 2 ? `process.env.${part}` : JSON.stringify(part)))
+    .filter(part => part !== '""')
+    .join(' + ');
+}
+
+/**
+ * Playwright statement(s) for one session entry, or null if it has no equivalent
+ *
+ * @param {Object} entry - Session entry
+ * @param {string} workDir - Working directory the session ran in, for file paths
+ */
+function toPlaywrightStatement(entry, workDir) {
+  const { name, target, value } = parseEntry(entry);
+  const q = JSON.stringify;
+  const locator = target ? `page.locator(${q(target)})` : null;
+
+  switch (name) {
+    case 'goto': return `await page.goto(${q(value)});`;
+    case 'click': return `await ${locator}.click();`;
+    case 'type': return `await ${locator}.fill(${toTextExpression(value)});`;
+    case 'typeslow': return `await ${locator}.pressSequentially(${toTextExpression(value)}, { delay: 50 });`;
+    case 'select': return `await ${locator}.selectOption(${q(value)});`;
+    case 'check': return `await ${locator}.check();`;
+    case 'uncheck': return `await ${locator}.uncheck();`;
+    case 'hover': return `await ${locator}.hover();`;
+    case 'press': return `await page.keyboard.press(${q(value)});`;
+    case 'drag': return `await page.dragAndDrop(${q(target)}, ${q(value)});`;
+    case 'upload': {
+      // Relative paths were relative to the working directory, not the test
+      const files = value.split('|').map(file => file.trim()).filter(Boolean).map(file => path.resolve(workDir, file));
+      return `await ${locator}.setInputFiles(${q(files)});`;
+    }
+    case 'wait': return `await page.waitForTimeout(${(parseInt(value) || 2) * 1000});`;
+    case 'back': return 'await page.goBack();';
+    case 'forward': return 'await page.goForward();';
+    case 'refresh': return 'await page.reload();';
+    case 'execute': return `await page.evaluate(${q(value)});`;
+    case 'screenshot': {
+      const file = q(`screenshot-${Date.parse(entry.time) || Date.now()}.png`);
+      if (target) return `await ${locator}.screenshot({ path: ${file} });`;
+      if (/^(baseline|compare):/i.test(value)) return null;
+      // Annotated screenshots replay as plain viewport captures
+      return value ? `await page.screenshot({ path: ${file} });` : `await page.screenshot({ path: ${file}, fullPage: true });`;
+    }
+    case 'scroll': {
+      const scrolls = {
+        up: 'window.scrollBy(0, -500)',
+        down: 'window.scrollBy(0, 500)',
+        top: 'window.scrollTo(0, 0)',
+        bottom: 'window.scrollTo(0, document.body.scrollHeight)'
+      };
+      const script = scrolls[value.toLowerCase()];
+      return script ? `await page.evaluate(() => ${script});` : null;
+    }
+    case 'newtab':
+      return value
+        ? `page = await context.newPage();\n  await page.goto(${q(value)});`
+        : 'page = await context.newPage();';
+    case 'switchtab':
+      return `page = context.pages()[${parseInt(value) - 1}];\n  await page.bringToFront();`;
+    case 'closetab':
+      return value
+        ? `await context.pages()[${parseInt(value) - 1}].close();\n  page = context.pages()[context.pages().length - 1];`
+        : 'await page.close();\n  page = context.pages()[context.pages().length - 1];';
+    case 'waitfor':
+      return toPlaywrightWait(value, entry.targets || []);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Playwright equivalent of a waitfor: condition, with refs swapped for the
+ * locators recorded for the step
+ */
+function toPlaywrightWait(args, targets) {
+  const q = JSON.stringify;
+  let rest = args;
+  let options = '';
+
+  const timeoutMatch = rest.match(/^(\d+(?:\.\d+)?)s:/);
+  if (timeoutMatch) {
+    options = `, { timeout: ${parseFloat(timeoutMatch[1]) * 1000} }`;
+    rest = rest.substring(timeoutMatch[0].length);
+  }
+
+  const separator = rest.indexOf(':');
+  const kind = (separator === -1 ? rest : rest.substring(0, separator)).trim().toLowerCase();
+  const value = separator === -1 ? '' : rest.substring(separator + 1);
+
+  switch (kind) {
+    case 'selector': {
+      const { selector, state } = parseWaitSelector(args, targets);
+      if (isSessionOnly(selector)) return `// ${UNSTABLE_REF_NOTE}`;
+      const timeout = timeoutMatch ? `, timeout: ${parseFloat(timeoutMatch[1]) * 1000}` : '';
+      return `await page.locator(${q(selector)}).first().waitFor({ state: '${state || 'visible'}'${timeout} });`;
+    }
+    case 'text': return `await page.getByText(${q(value)}).first().waitFor(${options ? options.substring(2) : ''});`;
+    case 'url': return `await page.waitForURL(${q(value)}${options});`;
+    case 'networkidle': return `await page.waitForLoadState('networkidle'${options});`;
+    case 'js': return `await page.waitForFunction(${q(value)}, null${options});`;
+    default: return null;
+  }
+}
+
+/**
+ * Build a standalone Playwright test from a session
+ *
+ * @param {Object[]} session - Session entries
+ * @param {string} workDir - Working directory the session ran in
+ */
+function toPlaywrightScript(session, workDir = process.cwd()) {
+  const entries = replayableEntries(session);
+  const body = [];
+
+  for (const entry of entries) {
+    const unstable = hasSessionOnlyTarget(parseEntry(entry));
+    const statement = unstable ? null : toPlaywrightStatement(entry, workDir);
+    body.push(`  // ${entry.command.replace(/\n/g, ' ')}`);
+    if (unstable) {
+      body.push(`  // ${UNSTABLE_REF_NOTE}`);
+    } else {
+      body.push(statement ? `  ${statement}` : '  // (no Playwright equivalent - skipped)');
+    }
+  }
+
+  const script = [
+    `// Recorded by web-pilot on ${new Date().toISOString()}`,
+    '// Run with: npx playwright test <this file>',
+    "const { test } = require('@playwright/test');",
+    '',
+    "test('recorded web-pilot session', async ({ page, context }) => {",
+    ...body,
+    '});',
+    ''
+  ].join('\n');
+
+  return { script, steps: entries.length };
+}
+
+module.exports = {
+  toPilotScript,
+  toPlaywrightScript
+};
@@ -0,0 +1,104 @@
+/**
+ * Web Pilot Structured Extraction
+ *
+ * Pulls repeated items (search results, product cards, rows) out of a page
+ * using a schema of CSS selectors, for the `extract:<schema.json>` command:
+ *
+ *   {
+ *     "items": ".card",                 Selector for each item
+ *     "fields": {
+ *       "title": "h3",                  Text of the first match inside the item
+ *       "link": "a@href",               An attribute (href/src come back absolute)
+ *       "id": "@data-id",               An attribute of the item itself
+ *       "summary": "",                  Text of the item itself
+ *       "tags": [".tag"]                Text of every match, as an array
+ *     },
+ *     "next": "a.next-page",            Optional: click to load the next page
+ *     "maxPages": 5                     Optional: pages to visit (default 10 with next)
+ *   }
+ */
+
+const DEFAULT_MAX_PAGES = 10;
+
+/**
+ * Check a schema and fill in defaults, throwing on anything unusable
+ */
+function validateSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('Schema must be a JSON object with "items" and "fields"');
+  }
+  if (typeof schema.items !== 'string' || !schema.items.trim()) {
+    throw new Error('Schema needs an "items" selector, e.g. ".card"');
+  }
+  if (!schema.fields || typeof schema.fields !== 'object' || Array.isArray(schema.fields)
+    || Object.keys(schema.fields).length === 0) {
+    throw new Error('Schema needs "fields", e.g. {"title": "h3", "link": "a@href"}');
+  }
+
+  for (const [name, spec] of Object.entries(schema.fields)) {
+    const valid = typeof spec === 'string'
+      || (Array.isArray(spec) && spec.length === 1 && typeof spec[0] === 'string');
+    if (!valid) {
+      throw new Error(`Field "${name}" must be a selector string or a one-selector array`);
+    }
+  }
+
+  if (schema.next !== undefined && (typeof schema.next !== 'string' || !schema.next.trim())) {
+    throw new Error('"next" must be a selector for the next-page link or button');
+  }
+
+  const maxPages = schema.maxPages === undefined
+    ? (schema.next ? DEFAULT_MAX_PAGES : 1)
+    : parseInt(schema.maxPages);
+  if (!Number.isInteger(maxPages) || maxPages < 1) {
+    throw new Error('"maxPages" must be a positive number');
+  }
+
+  return { ...schema, maxPages };
+}
+
+/**
+ * Extract items from the current page.
+ *
+ * Runs inside the browser via page.evaluate, so it must be self-contained.
+ */
+function extractItems({ items, fields }) {
+  // "a.link@href" -> selector "a.link", attribute "href"; "@href" -> the item itself
+  const parse = (spec) => {
+    const at = spec.lastIndexOf('@');
+    // An @ inside brackets belongs to the selector, e.g. [title="a@b"]
+    if (at === -1 || spec.indexOf(']', at) !== -1) return { selector: spec.trim(), attribute: null };
+    return { selector: spec.substring(0, at).trim(), attribute: spec.substring(at + 1).trim() };
+  };
+
+  const valueOf = (el, attribute) => {
+    if (!attribute) return (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+    // Properties give absolute URLs for relative href/src
+    if ((attribute === 'href' || attribute === 'src') && typeof el[attribute] === 'string' && el.getAttribute(attribute) !== null) {
+      return el[attribute];
+    }
+    return el.getAttribute(attribute);
+  };
+
+  const specs = Object.entries(fields).map(([name, spec]) => {
+    const all = Array.isArray(spec);
+    return { name, all, ...parse(all ? spec[0] : spec) };
+  });
+
+  return Array.from(document.querySelectorAll(items)).map((item) => {
+    const record = {};
+    for (const { name, all, selector, attribute } of specs) {
+      const matches = selector
+        ? Array.from(all ? item.querySelectorAll(selector) : [item.querySelector(selector)]).filter(Boolean)
+        : [item];
+      const values = matches.map(el => valueOf(el, attribute));
+      record[name] = all ? values.filter(value => value !== null && value !== '') : (values.length ? values[0] : null);
+    }
+    return record;
+  });
+}
+
+module.exports = {
+  validateSchema,
+  extractItems
+};
@@ -0,0 +1,268 @@
+/**
+ * Web Pilot Markdown Extraction
+ *
+ * Converts the main content of a page to Markdown for the `markdown`
+ * command. Navigation, headers, footers, sidebars, cookie banners and hidden
+ * elements are left out; headings, lists, links, code and tables are kept.
+ * The result is split into pages of at most maxChars characters, breaking
+ * between blocks where possible, so large pages can be read a piece at a time.
+ */
+
+/**
+ * Convert the page's main content to Markdown.
+ *
+ * Runs inside the browser via page.evaluate, so it must be self-contained.
+ */
+function pageToMarkdown() {
+  const SKIPPED_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'IFRAME', 'OBJECT',
+    'NAV', 'ASIDE', 'BUTTON', 'SELECT', 'INPUT', 'TEXTAREA', 'DIALOG'
+  ]);
+  const SKIPPED_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'dialog', 'alertdialog']);
+  const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'DIV', 'FIGURE', 'FIGCAPTION', 'FORM', 'HEADER', 'FOOTER',
+    'MAIN', 'SECTION', 'DETAILS', 'SUMMARY', 'FIELDSET', 'CENTER'
+  ]);
+  const BOILERPLATE = /cookie|consent|gdpr|newsletter|subscribe|popup|modal|banner|advert|sponsor|social|share/i;
+
+  const isVisible = (el) => {
+    if (el.hidden || el.getAttribute('aria-hidden') === 'true') return false;
+    const style = getComputedStyle(el);
+    return style.display !== 'none' && style.visibility !== 'hidden';
+  };
+
+  const isBoilerplate = (el) => {
+    const role = el.getAttribute('role');
+    if (role && SKIPPED_ROLES.has(role)) return true;
+    if (el.tagName === 'HEADER' || el.tagName === 'FOOTER') {
+      // Page-level header/footer; ones inside an article hold its title and byline
+      return !el.closest('article, main, [role="main"]');
+    }
+    // Fixed overlays like cookie banners and newsletter popups
+    const hint = `${el.id} ${typeof el.className === 'string' ? el.className : ''}`;
+    if (BOILERPLATE.test(hint)) {
+      const position = getComputedStyle(el).position;
+      return position === 'fixed' || position === 'sticky' || /cookie|consent|gdpr/i.test(hint);
+    }
+    return false;
+  };
+
+  const textLength = el => (el.innerText || '').trim().length;
+
+  // Pick the element holding the main content
+  const findMainContent = () => {
+    const main = document.querySelector('main, [role="main"]');
+    if (main && textLength(main) > 200) return main;
+
+    const articles = Array.from(document.querySelectorAll('article'));
+    if (articles.length) {
+      const largest = articles.reduce((best, el) => (textLength(el) > textLength(best) ? el : best));
+      if (textLength(largest) > 200) return largest;
+    }
+
+    // Score containers by the paragraph text they (and their children) hold
+    const scores = new Map();
+    document.querySelectorAll('p, pre, li, td, blockquote').forEach((el) => {
+      const length = textLength(el);
+      if (length < 25) return;
+      const parent = el.parentElement;
+      const grandparent = parent && parent.parentElement;
+      if (parent) scores.set(parent, (scores.get(parent) || 0) + length);
+      if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + length / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, el) => {
+      if (score > bestScore && el !== document.documentElement) {
+        best = el;
+        bestScore = score;
+      }
+    });
+
+    // Too little paragraph text to tell where the content is: use the whole body
+    return best && bestScore > 200 ? best : document.body;
+  };
+
+  const escapeCell = text => text.replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+
+  const tableToMarkdown = (table) => {
+    const rows = Array.from(table.rows)
+      .filter(row => isVisible(row))
+      .map(row => Array.from(row.cells).map(cell => escapeCell(cell.innerText || '')));
+    if (!rows.length) return '';
+
+    const width = Math.max(...rows.map(row => row.length));
+    const pad = row => [...row, ...Array(width - row.length).fill('')];
+    const hasHeader = table.tHead || Array.from(table.rows[0].cells).every(cell => cell.tagName === 'TH');
+    const header = hasHeader ? pad(rows.shift()) : Array(width).fill('');
+
+    const lines = [
+      `| ${header.join(' | ')} |`,
+      `| ${header.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${pad(row).join(' | ')} |`)
+    ];
+    const caption = table.caption ? `**${table.caption.innerText.trim()}**\n\n` : '';
+    return caption + lines.join('\n');
+  };
+
+  const block = content => (content.trim() ? `\n\n${content.trim()}\n\n` : '');
+
+  const convert = (node, context) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return context.pre ? node.textContent : node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const el = node;
+    const tag = el.tagName;
+    if (SKIPPED_TAGS.has(tag) || !isVisible(el) || isBoilerplate(el)) return '';
+
+    const children = (childContext = context) => Array.from(el.childNodes)
+      .map(child => convert(child, childContext))
+      .join('');
+
+    switch (tag) {
+      case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+        const text = children().replace(/\s+/g, ' ').trim();
+        return text ? block(`${'#'.repeat(Number(tag[1]))} ${text}`) : '';
+      }
+      case 'P':
+        return block(children());
+      case 'BR':
+        return '\n';
+      case 'HR':
+        return block('---');
+      case 'STRONG': case 'B': {
+        const text = children().trim();
+        return text ? ` **${text}** ` : '';
+      }
+      case 'EM': case 'I': {
+        const text = children().trim();
+        return text ? ` *${text}* ` : '';
+      }
+      case 'CODE':
+        return context.pre ? children() : `\`${el.textContent.trim()}\``;
+      case 'PRE': {
+        const code = children({ ...context, pre: true }).replace(/\n+$/, '');
+        const language = ((el.querySelector('code') || el).className.match(/language-(\w+)/) || [])[1] || '';
+        return code.trim() ? `\n\n\`\`\`${language}\n${code}\n\`\`\`\n\n` : '';
+      }
+      case 'BLOCKQUOTE': {
+        const text = children().trim().replace(/\n{3,}/g, '\n\n');
+        return block(text.split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+      }
+      case 'A': {
+        const text = (el.innerText || '').replace(/\s+/g, ' ').trim()
+          || el.getAttribute('aria-label')
+          || (el.querySelector('img[alt]') || {}).alt
+          || '';
+        const href = el.href;
+        if (!text) return '';
+        if (!href || !/^(https?|mailto):/i.test(href)) return text;
+        return `[${text.replace(/[[\]]/g, '\\$&')}](${href.replace(/\(/g, '%28').replace(/\)/g, '%29')})`;
+      }
+      case 'IMG': {
+        const alt = (el.getAttribute('alt') || '').trim();
+        return alt && el.src && !el.src.startsWith('data:') ? `![${alt}](${el.src})` : '';
+      }
+      case 'UL': case 'OL': {
+        const depth = context.listDepth || 0;
+        let index = Number(el.getAttribute('start')) || 1;
+        const items = Array.from(el.children)
+          .filter(child => child.tagName === 'LI' && isVisible(child))
+          .map((li) => {
+            const marker = tag === 'OL' ? `${index++}.` : '-';
+            const content = Array.from(li.childNodes)
+              .map(child => convert(child, { ...context, listDepth: depth + 1 }))
+              .join('')
+              .trim()
+              .replace(/\n{2,}/g, '\n');
+            if (!content) return null;
+            const [first, ...rest] = content.split('\n');
+            const indent = ' '.repeat(marker.length + 1);
+            return [`${marker} ${first}`, ...rest.map(line => (line.trim() ? indent + line : line))].join('\n');
+          })
+          .filter(Boolean);
+        // Nested lists sit on the line below their parent item
+        return depth ? `\n${items.join('\n')}\n` : block(items.join('\n'));
+      }
+      case 'DL':
+        return block(Array.from(el.children).map((child) => {
+          const text = convert(child, context).replace(/\s+/g, ' ').trim();
+          if (!text) return null;
+          return child.tagName === 'DT' ? `**${text}**` : `: ${text}`;
+        }).filter(Boolean).join('\n'));
+      case 'TABLE':
+        // Layout tables (holding other tables) are treated as plain containers
+        return el.querySelector('table') ? block(children()) : block(tableToMarkdown(el));
+      default:
+        if (BLOCK_TAGS.has(tag) || getComputedStyle(el).display === 'block') {
+          return block(children());
+        }
+        return children();
+    }
+  };
+
+  const root = findMainContent();
+  const raw = convert(root, {});
+
+  // Tidy whitespace outside code blocks
+  let inCode = false;
+  let inList = false;
+  const lines = raw.split('\n').map((line) => {
+    if (line.startsWith('```')) inCode = !inCode;
+    if (inCode || line.startsWith('```')) return line;
+    const indent = line.match(/^ */)[0];
+    const text = line.trim().replace(/ {2,}/g, ' ').replace(/\*\* ([.,;:!?)])/g, '**$1');
+    // Keep indentation only where it nests list items
+    inList = text ? inList || /^(\d+\.|-) /.test(text) : false;
+    return inList ? indent + text : text;
+  });
+
+  return {
+    title: document.title,
+    url: location.href,
+    markdown: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()
+  };
+}
+
+/**
+ * Split Markdown into pages of at most maxChars characters, breaking between
+ * blocks (blank lines) where possible, then between lines, then anywhere
+ */
+function paginate(markdown, maxChars) {
+  // Pieces no longer than maxChars, each with the separator that precedes it
+  const pieces = [];
+  for (const blockText of markdown.split(/\n{2,}/)) {
+    if (blockText.length <= maxChars) {
+      pieces.push({ text: blockText, separator: '\n\n' });
+      continue;
+    }
+    blockText.split('\n').forEach((line, lineIndex) => {
+      for (let start = 0; start === 0 || start < line.length; start += maxChars) {
+        const separator = start > 0 ? '' : (lineIndex === 0 ? '\n\n' : '\n');
+        pieces.push({ text: line.substring(start, start + maxChars), separator });
+      }
+    });
+  }
+
+  const pages = [];
+  let current = '';
+  for (const { text, separator } of pieces) {
+    if (current && current.length + separator.length + text.length > maxChars) {
+      pages.push(current);
+      current = text;
+    } else {
+      current += current ? separator + text : text;
+    }
+  }
+  if (current || pages.length === 0) pages.push(current);
+
+  return pages;
+}
+
+module.exports = {
+  pageToMarkdown,
+  paginate
+};
@@ -0,0 +1,240 @@
+/**
+ * Web Pilot MCP Server
+ *
+ * Speaks the Model Context Protocol over stdio (newline-delimited JSON-RPC),
+ * exposing every entry in WebPilot.getCommands() as an MCP tool. Tool calls
+ * are turned back into command strings and run through the pilot's queue,
+ * so they share ordering with the file and HTTP transports.
+ *
+ * stdout carries protocol messages only; pilot logging goes to stderr.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+const { version } = require('../package.json');
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+class McpServer {
+  /**
+   * @param {WebPilot} pilot - Initialized pilot instance
+   * @param {Promise} ready - Resolves once the browser has started
+   */
+  constructor(pilot, ready = Promise.resolve()) {
+    this.pilot = pilot;
+    this.ready = ready;
+    this.tools = null;
+    this.output = null;
+  }
+
+  /**
+   * Turn a command pattern from getCommands() into an MCP tool definition.
+   *
+   * Literal segments form the tool name and <param> segments become string
+   * properties, so 'type:<selector>:<text>' becomes a 'type' tool taking
+   * {selector, text}. A trailing [:<param>] segment is optional.
+   */
+  static commandToTool(pattern, description) {
+    const segments = [];
+    const properties = {};
+    const required = [];
+    const nameParts = [];
+
+    // Normalize 'cmd[:<param>]' to 'cmd:[<param>]' so every segment splits on ':'
+    const normalized = pattern.replace(/\[:</g, ':[<');
+
+    for (const raw of normalized.split(/:(?![^<]*>)/)) {
+      const optional = raw.startsWith('[') && raw.endsWith(']');
+      const segment = optional ? raw.slice(1, -1) : raw;
+      const match = segment.match(/^<(.+)>$/);
+
+      if (match) {
+        const param = match[1].replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+        properties[param] = { type: 'string', description: `<${match[1]}>` };
+        if (!optional) required.push(param);
+        segments.push({ param, optional });
+      } else {
+        nameParts.push(segment.replace(/[^a-zA-Z0-9]+/g, '_'));
+        segments.push({ literal: segment });
+      }
+    }
+
+    return {
+      name: nameParts.join('_'),
+      description: `${description} (web-pilot command: ${pattern})`,
+      inputSchema: { type: 'object', properties, required },
+      segments
+    };
+  }
+
+  /**
+   * Build the tool list from the pilot's commands, keeping names unique
+   */
+  getTools() {
+    if (this.tools) return this.tools;
+
+    this.tools = new Map();
+    for (const [pattern, description] of Object.entries(this.pilot.getCommands())) {
+      const tool = McpServer.commandToTool(pattern, description);
+      let name = tool.name;
+      if (this.tools.has(name)) {
+        name = [name, ...Object.keys(tool.inputSchema.properties)].join('_');
+      }
+      this.tools.set(name, { ...tool, name });
+    }
+    return this.tools;
+  }
+
+  /**
+   * Rebuild the command string for a tool call
+   */
+  static buildCommand(tool, args = {}) {
+    const parts = [];
+    for (const segment of tool.segments) {
+      if (segment.literal !== undefined) {
+        parts.push(segment.literal);
+        continue;
+      }
+      const value = args[segment.param];
+      if (value === undefined || value === null || value === '') {
+        if (segment.optional) continue;
+        throw new Error(`Missing required argument: ${segment.param}`);
+      }
+      parts.push(String(value));
+    }
+    return parts.join(':');
+  }
+
+  /**
+   * Start reading JSON-RPC messages from stdin
+   */
+  start(input = process.stdin, output = process.stdout) {
+    this.output = output;
+    const rl = readline.createInterface({ input, terminal: false });
+    rl.on('line', (line) => {
+      if (line.trim()) this.handleLine(line);
+    });
+    rl.on('close', () => process.exit(0));
+    return this;
+  }
+
+  /**
+   * Write a JSON-RPC message to stdout
+   */
+  send(message) {
+    this.output.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+  }
+
+  /**
+   * Parse and dispatch one line of input
+   */
+  async handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (err) {
+      this.send({ id: null, error: { code: PARSE_ERROR, message: `Parse error: ${err.message}` } });
+      return;
+    }
+
+    // Notifications (no id) need no response
+    if (message.id === undefined || message.id === null) return;
+
+    try {
+      const result = await this.handleRequest(message.method, message.params || {});
+      this.send({ id: message.id, result });
+    } catch (err) {
+      this.send({ id: message.id, error: { code: err.code || INVALID_PARAMS, message: err.message } });
+    }
+  }
+
+  /**
+   * Handle a JSON-RPC request and return its result
+   */
+  async handleRequest(method, params) {
+    switch (method) {
+      case 'initialize':
+        return {
+          protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion)
+            ? params.protocolVersion
+            : PROTOCOL_VERSIONS[0],
+          capabilities: { tools: {} },
+          serverInfo: { name: 'web-pilot', version }
+        };
+
+      case 'ping':
+        return {};
+
+      case 'tools/list':
+        return {
+          tools: [...this.getTools().values()].map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+        };
+
+      case 'tools/call':
+        return await this.callTool(params.name, params.arguments);
+
+      default: {
+        const err = new Error(`Method not found: ${method}`);
+        err.code = METHOD_NOT_FOUND;
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * Run a tool call as a pilot command and convert the result to MCP content
+   */
+  async callTool(name, args) {
+    const tool = this.getTools().get(name);
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    let command;
+    try {
+      command = McpServer.buildCommand(tool, args);
+    } catch (err) {
+      return { content: [{ type: 'text', text: `ERROR: ${err.message}` }], isError: true };
+    }
+
+    await this.ready;
+    const result = await this.pilot.submit({ id: null, multiple: false, requests: [{ id: null, command }] });
+
+    return {
+      content: McpServer.toContent(result.payload),
+      isError: result.status === 'error'
+    };
+  }
+
+  /**
+   * Convert a command result to MCP content, inlining any saved screenshots
+   * and diff images
+   */
+  static toContent(payload) {
+    const content = [{ type: 'text', text: payload }];
+    const screenshots = payload.match(/^(Screenshot|Diff image) saved: .+\.png$/gm) || [];
+
+    for (const line of screenshots) {
+      const filepath = line.substring(line.indexOf(' saved: ') + 8).trim();
+      try {
+        content.push({
+          type: 'image',
+          data: fs.readFileSync(filepath).toString('base64'),
+          mimeType: 'image/png'
+        });
+      } catch {
+        // Leave just the path if the file can't be read
+      }
+    }
+
+    return content;
+  }
+}
+
+module.exports = McpServer;
@@ -0,0 +1,260 @@
+/**
+ * Web Pilot Network Monitor
+ *
+ * Watches every request in a browser context. It always keeps a rolling
+ * buffer of recent fetch/XHR calls for the `requests` and `response:<n>`
+ * commands, and between network:start and network:stop it records all
+ * traffic as a HAR 1.2 log. Response bodies are only read eagerly for the
+ * HAR; for `response:<n>` they are fetched when asked for.
+ */
+
+const { version } = require('../package.json');
+
+// How many fetch/XHR calls to remember for `requests`
+const MAX_RECENT = 200;
+
+// Largest response body kept in memory
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const API_RESOURCE_TYPES = new Set(['fetch', 'xhr']);
+
+/**
+ * Whether a MIME type holds text worth keeping (JSON, XML, HTML, JS, ...)
+ */
+function isTextual(mimeType) {
+  return /json|text|xml|javascript|graphql|x-www-form-urlencoded/i.test(mimeType || '');
+}
+
+/**
+ * Convert a header object to HAR's [{name, value}] form
+ */
+function toHarHeaders(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value }));
+}
+
+class NetworkMonitor {
+  constructor() {
+    this.nextId = 1;
+    this.records = new Map(); // Request -> record, while in flight
+    this.recent = []; // Recent fetch/XHR records
+    this.har = null; // Records captured since network:start
+  }
+
+  /**
+   * Listen to every request made in a browser context
+   */
+  attach(context) {
+    context.on('request', request => this.onRequest(request));
+    context.on('requestfinished', request => this.onFinished(request).catch(() => {}));
+    context.on('requestfailed', request => this.onFailed(request));
+  }
+
+  onRequest(request) {
+    const resourceType = request.resourceType();
+    const isApi = API_RESOURCE_TYPES.has(resourceType);
+    if (!isApi && !this.har) return;
+
+    const record = {
+      id: this.nextId++,
+      method: request.method(),
+      url: request.url(),
+      resourceType,
+      startedAt: new Date(),
+      requestHeaders: request.headers(),
+      postData: request.postData(),
+      status: null,
+      statusText: '',
+      responseHeaders: {},
+      mimeType: '',
+      size: null,
+      body: null,
+      response: null, // Playwright response, to read the body from later
+      inHar: Boolean(this.har),
+      time: null,
+      failure: null
+    };
+
+    this.records.set(request, record);
+
+    if (isApi) {
+      this.recent.push(record);
+      if (this.recent.length > MAX_RECENT) this.recent.shift();
+    }
+    if (this.har) {
+      this.har.push(record);
+    }
+  }
+
+  async onFinished(request) {
+    const record = this.records.get(request);
+    if (!record) return;
+    this.records.delete(request);
+
+    const response = await request.response();
+    if (response) {
+      record.status = response.status();
+      record.statusText = response.statusText();
+      record.responseHeaders = response.headers();
+      record.mimeType = (record.responseHeaders['content-type'] || '').split(';')[0].trim();
+    }
+
+    const sizes = await request.sizes().catch(() => null);
+    const contentLength = parseInt(record.responseHeaders['content-length']);
+    record.size = sizes ? sizes.responseBodySize : (Number.isNaN(contentLength) ? null : contentLength);
+
+    const timing = request.timing();
+    record.time = timing.responseEnd >= 0 ? Math.round(timing.responseEnd) : Date.now() - record.startedAt.getTime();
+
+    record.response = response;
+
+    // The HAR is written after the pages may have gone, so read its bodies now
+    if (record.inHar) {
+      await this.getBody(record);
+    }
+  }
+
+  /**
+   * The text/JSON response body of a finished request, read on first use
+   * (null if it isn't text, is too large, or is no longer available)
+   */
+  async getBody(record) {
+    if (record.body !== null || !record.response) return record.body;
+    if (!isTextual(record.mimeType) || (record.size !== null && record.size > MAX_BODY_BYTES)) return null;
+
+    const body = await record.response.body().catch(() => null);
+    if (body && body.length <= MAX_BODY_BYTES) {
+      record.body = body.toString('utf-8');
+    }
+    return record.body;
+  }
+
+  onFailed(request) {
+    const record = this.records.get(request);
+    if (!record) return;
+    this.records.delete(request);
+
+    record.failure = request.failure() ? request.failure().errorText : 'failed';
+    record.time = Date.now() - record.startedAt.getTime();
+  }
+
+  /**
+   * Begin recording all traffic for a HAR file
+   */
+  startHar() {
+    if (this.har) return false;
+    this.har = [];
+    return true;
+  }
+
+  /**
+   * Stop recording and return the HAR log (or null if not recording)
+   */
+  stopHar() {
+    if (!this.har) return null;
+
+    const entries = this.har.map(record => this.toHarEntry(record));
+    this.har = null;
+
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'web-pilot', version },
+        pages: [],
+        entries
+      }
+    };
+  }
+
+  /**
+   * Convert a record to a HAR entry
+   */
+  toHarEntry(record) {
+    const url = new URL(record.url);
+    const time = record.time === null ? -1 : record.time;
+
+    const entry = {
+      startedDateTime: record.startedAt.toISOString(),
+      time: Math.max(time, 0),
+      request: {
+        method: record.method,
+        url: record.url,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: toHarHeaders(record.requestHeaders),
+        queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+        headersSize: -1,
+        bodySize: record.postData ? Buffer.byteLength(record.postData) : 0
+      },
+      response: {
+        status: record.status || 0,
+        statusText: record.failure || record.statusText,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: toHarHeaders(record.responseHeaders),
+        content: {
+          size: record.size === null ? -1 : record.size,
+          mimeType: record.mimeType || 'x-unknown'
+        },
+        redirectURL: record.responseHeaders.location || '',
+        headersSize: -1,
+        bodySize: record.size === null ? -1 : record.size
+      },
+      cache: {},
+      timings: { send: 0, wait: Math.max(time, 0), receive: 0 },
+      _resourceType: record.resourceType
+    };
+
+    if (record.postData) {
+      entry.request.postData = {
+        mimeType: record.requestHeaders['content-type'] || '',
+        text: record.postData
+      };
+    }
+    if (record.body !== null) {
+      entry.response.content.text = record.body;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Recent fetch/XHR records, oldest first
+   */
+  list(limit = 50) {
+    return this.recent.slice(-limit);
+  }
+
+  /**
+   * Find a recent record by its number
+   */
+  get(id) {
+    return this.recent.find(record => record.id === id) || null;
+  }
+
+  /**
+   * Format a byte count for display
+   */
+  static formatSize(bytes) {
+    if (bytes === null || bytes === undefined || bytes < 0) return '?';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  /**
+   * One-line description of a record
+   */
+  static describe(record) {
+    let status;
+    if (record.failure) {
+      status = `FAILED (${record.failure})`;
+    } else if (record.status === null) {
+      status = '(pending)';
+    } else {
+      status = `${record.status} ${NetworkMonitor.formatSize(record.size)}${record.mimeType ? ` ${record.mimeType}` : ''}`;
+    }
+    return `[${record.id}] ${record.method} ${status} ${record.url}`;
+  }
+}
+
+module.exports = NetworkMonitor;
@@ -7,12 +7,23 @@
  * enabling AI copilots to navigate websites and perform actions.
  */
 
-const { chromium } = require('playwright');
+const playwright = require('playwright');
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const os = require('os');
 const readline = require('readline');
+const EventEmitter = require('events');
+const { toPilotScript, toPlaywrightScript } = require('./export');
+const NetworkMonitor = require('./network');
+const { pageToMarkdown, paginate } = require('./markdown');
+const { readTables, toRecords, toCsv, describeTable } = require('./tables');
+const { validateSchema, extractItems } = require('./extract');
+const png = require('./png');
+const { compareImages, describeComparison } = require('./diff');
+const { Policy, describeActivation } = require('./policy');
+const { Secrets } = require('./secrets');
+const { splitTarget } = require('./selectors');
 
 // Default configuration
 const DEFAULT_CONFIG = {
@@ -24,10 +35,91 @@ const DEFAULT_CONFIG = {
   pollInterval: 1000,
   timeout: 30000,
   viewport: { width: 1400, height: 900 },
-  profile: null
+  profile: null,
+  stopOnError: true,
+  block: [], // Default block: rules applied at start (e.g. ['trackers', 'media'])
+  maxConsoleEntries: 500,
+  dialogPolicy: 'dismiss', // accept, dismiss, or queue (wait for dialog:accept / dialog:dismiss)
+  maxChars: 8000, // Page size for the markdown command
+  secrets: path.join(os.homedir(), '.web-pilot', 'secrets.json'), // Secrets for {{secret:NAME}}; a relative path is resolved against workDir
+  policy: null // Safety policy: path to a policy JSON file, or the rules object (see policy.js)
 };
 
-class WebPilot {
+const DIALOG_POLICIES = ['accept', 'dismiss', 'queue'];
+
+// What untilDialog's race resolves with when a dialog pauses the action
+const PAUSED = Symbol('paused');
+
+// Platform key for BROWSERS (other Unixes are treated like Linux)
+const PLATFORM = process.platform === 'win32' || process.platform === 'darwin' ? process.platform : 'linux';
+
+// Browsers --browser accepts: the Playwright engine and channel to launch, and
+// per platform, the user-data directory (relative to the home directory, or
+// %LOCALAPPDATA% on Windows) and process names of the installed browser.
+// A real Chrome profile is always opened by the installed Chrome (see
+// getChannel); chromium, firefox and webkit without a profile need only
+// `npx playwright install`.
+const BROWSERS = {
+  chrome: {
+    name: 'Chrome',
+    engine: 'chromium',
+    userData: {
+      win32: ['Google', 'Chrome', 'User Data'],
+      darwin: ['Library', 'Application Support', 'Google', 'Chrome'],
+      linux: ['.config', 'google-chrome']
+    },
+    processes: { win32: ['chrome.exe'], darwin: ['Google Chrome'], linux: ['chrome', 'google-chrome'] }
+  },
+  edge: {
+    name: 'Edge',
+    engine: 'chromium',
+    channel: 'msedge',
+    userData: {
+      win32: ['Microsoft', 'Edge', 'User Data'],
+      darwin: ['Library', 'Application Support', 'Microsoft Edge'],
+      linux: ['.config', 'microsoft-edge']
+    },
+    processes: { win32: ['msedge.exe'], darwin: ['Microsoft Edge'], linux: ['msedge', 'microsoft-edge'] }
+  },
+  chromium: {
+    name: 'Chromium',
+    engine: 'chromium',
+    userData: {
+      win32: ['Chromium', 'User Data'],
+      darwin: ['Library', 'Application Support', 'Chromium'],
+      linux: ['.config', 'chromium']
+    },
+    processes: { win32: ['chrome.exe'], darwin: ['Chromium'], linux: ['chromium', 'chromium-browser'] }
+  },
+  // Real Firefox and Safari profiles can't be driven, so these only use their own --profile directories
+  firefox: { name: 'Firefox', engine: 'firefox', userData: {}, processes: {} },
+  webkit: { name: 'WebKit', engine: 'webkit', userData: {}, processes: {} }
+};
+
+// Links shown per page by the links command
+const LINKS_PER_PAGE = 50;
+
+// How long a click waits for a download it may have started
+const DOWNLOAD_WAIT = 500;
+
+// Playwright resource types that block: can target directly
+const RESOURCE_TYPES = new Set([
+  'document', 'stylesheet', 'image', 'media', 'font', 'script', 'texttrack',
+  'xhr', 'fetch', 'eventsource', 'websocket', 'manifest', 'other'
+]);
+
+// Hosts blocked by block:trackers (subdomains included)
+const TRACKER_HOSTS = [
+  'google-analytics.com', 'googletagmanager.com', 'googleadservices.com',
+  'googlesyndication.com', 'doubleclick.net', 'adservice.google.com',
+  'connect.facebook.net', 'facebook.net', 'analytics.twitter.com', 'ads-twitter.com',
+  'bat.bing.com', 'clarity.ms', 'hotjar.com', 'segment.io', 'segment.com',
+  'mixpanel.com', 'amplitude.com', 'fullstory.com', 'heap.io', 'heapanalytics.com',
+  'optimizely.com', 'scorecardresearch.com', 'quantserve.com', 'criteo.com',
+  'criteo.net', 'taboola.com', 'outbrain.com', 'adnxs.com', 'nr-data.net'
+];
+
+class WebPilot extends EventEmitter {
   /**
    * Get path to preferences file
    */
@@ -69,46 +161,104 @@ class WebPilot {
   }
 
   /**
-   * Detect the system's default browser
+   * Detect the system's default browser (chrome, edge or chromium; anything
+   * else falls back to chrome)
    */
   static detectDefaultBrowser() {
     try {
-      if (process.platform !== 'win32') {
-        return 'chrome'; // Default to Chrome on non-Windows
+      let id;
+      if (PLATFORM === 'win32') {
+        // Query Windows registry for default browser
+        id = execSync(
+          'reg query "HKEY_CURRENT_USER\\Software\\Microsoft\\Windows\\Shell\\Associations\\UrlAssociations\\http\\UserChoice" /v ProgId',
+          { encoding: 'utf-8' }
+        );
+      } else if (PLATFORM === 'darwin') {
+        // LaunchServices keeps the http handler's bundle id, e.g. com.google.chrome
+        const handlers = execSync(
+          'defaults read com.apple.LaunchServices/com.apple.launchservices.secure LSHandlers',
+          { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }
+        );
+        const handler = handlers.split('}').find(block => /LSHandlerURLScheme = https?;/.test(block));
+        id = handler ? (handler.match(/LSHandlerRoleAll = "?([^";]+)"?;/) || [])[1] || '' : '';
+      } else {
+        // Desktop entry name, e.g. google-chrome.desktop
+        id = execSync('xdg-settings get default-web-browser', { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] });
       }
       
-      // Query Windows registry for default browser
-      const result = execSync(
-        'reg query "HKEY_CURRENT_USER\\Software\\Microsoft\\Windows\\Shell\\Associations\\UrlAssociations\\http\\UserChoice" /v ProgId',
-        { encoding: 'utf-8' }
-      );
-      
       // Parse the result to find browser type
-      if (result.includes('MSEdge') || result.includes('EdgeHTML')) {
+      if (/MSEdge|EdgeHTML|edgemac|microsoft-edge/i.test(id)) {
         return 'edge';
-      } else if (result.includes('Chrome')) {
-        return 'chrome';
+      } else if (/chromium/i.test(id)) {
+        return 'chromium';
       }
       
-      return 'chrome'; // Default fallback
+      return 'chrome'; // Chrome, or the default fallback
     } catch (err) {
       return 'chrome'; // Default fallback on error
     }
   }
 
   /**
-   * Get default profile path for a browser
+   * Display name of a browser (chrome -> Chrome)
+   */
+  static getBrowserName(browserType) {
+    return (BROWSERS[browserType] || BROWSERS.chrome).name;
+  }
+
+  /**
+   * Whether a directory is a Chromium-family profile (or User Data directory),
+   * which Firefox and WebKit can't open
+   */
+  static isChromiumProfile(dir) {
+    return ['Local State', 'Preferences', path.join('..', 'Local State')]
+      .some(file => fs.existsSync(path.join(dir, file)));
+  }
+
+  /**
+   * Whether a profile lives in the installed Chrome's User Data directory
+   */
+  static isChromeProfile(dir) {
+    const userData = WebPilot.getDefaultProfilePath('chrome');
+    if (!userData) return false;
+    const relative = path.relative(userData, path.resolve(dir));
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+
+  /**
+   * Playwright channel to launch: the browser's own, or the installed Chrome
+   * for a real Chrome profile - the bundled Chromium is a different version
+   * and can corrupt it
+   */
+  static getChannel(browserType, profile) {
+    const browser = BROWSERS[browserType] || BROWSERS.chrome;
+    if (browser.channel) return browser.channel;
+    if (browser.engine === 'chromium' && profile && WebPilot.isChromeProfile(profile)) return 'chrome';
+    return undefined;
+  }
+
+  /**
+   * Get default profile path for a browser (null if it has no usable one)
    */
   static getDefaultProfilePath(browserType) {
     try {
-      const username = os.userInfo().username;
-      const userProfile = process.env.USERPROFILE || `C:\\Users\\${username}`;
+      const browser = BROWSERS[browserType] || BROWSERS.chrome;
+      const parts = browser.userData[PLATFORM];
+      if (!parts) {
+        return null;
+      }
       
-      if (browserType === 'edge') {
-        return path.join(userProfile, 'AppData', 'Local', 'Microsoft', 'Edge', 'User Data');
-      } else {
-        return path.join(userProfile, 'AppData', 'Local', 'Google', 'Chrome', 'User Data');
+      if (PLATFORM === 'win32') {
+        const username = os.userInfo().username;
+        const localAppData = process.env.LOCALAPPDATA
+          || path.join(process.env.USERPROFILE || `C:\\Users\\${username}`, 'AppData', 'Local');
+        return path.join(localAppData, ...parts);
+      }
+      // XDG_CONFIG_HOME moves ~/.config on Linux
+      if (PLATFORM === 'linux' && process.env.XDG_CONFIG_HOME) {
+        return path.join(process.env.XDG_CONFIG_HOME, ...parts.slice(1));
       }
+      return path.join(os.homedir(), ...parts);
     } catch (err) {
       return null;
     }
@@ -221,13 +371,43 @@ class WebPilot {
   }
 
   constructor(config = {}) {
+    super();
     // Store config for async initialization
     this._config = config;
     this.browser = null;
     this.context = null;
     this.page = null;
     this.running = false;
-    this.lastCommand = '';
+    this.isReady = false; // Set once the browser is open and commands can be sent
+    this.commandQueue = [];
+    this.processingQueue = false;
+    this.scriptDepth = 0;
+    this.pausedAction = null; // Action left waiting on a queued dialog, with its eventual result
+    this.refCounter = 0; // Highest ref handed out; refs are never reused in a session
+    this.snapshotPage = null; // Tab the last snapshot was taken on
+    this.trackedPages = new WeakSet();
+    this.newTabs = []; // Tabs opened while the current command ran
+    this.refInfo = new Map(); // Role and name of each ref from the last snapshot
+    this.resolvedTargets = []; // Selectors the current command actually used
+    this.session = []; // Transcript of commands run, for export
+    this.network = new NetworkMonitor();
+    this.consoleLog = []; // Console messages, page errors and failed requests
+    this.consoleSeq = 0; // Sequence number of the last console entry
+    this.consoleReadSeq = 0; // Last entry returned by the console command
+    this.actionStartSeq = 0; // Console sequence number when the current command started
+    this.downloads = []; // Files downloaded this session
+    this.newDownloads = []; // Downloads not yet reported in a result
+    this.dialogs = []; // Recent dialogs (alert, confirm, prompt, beforeunload)
+    this.pendingDialogs = []; // Dialogs waiting for dialog:accept / dialog:dismiss
+    this.newDialogs = []; // Dialogs opened while the current command ran
+    this.routes = []; // Active block/mock rules
+    this.markdown = null; // Last markdown extraction, for markdown:page:<n>
+    this.policy = null; // Safety policy, if configured
+    this.confirmed = false; // Set by confirm:<token> to let the next gated action run
+    this.batchReceivedAt = null; // When the running batch arrived, to date confirmation files
+    this.newViolations = []; // Policy violations while the current command ran
+    this.secrets = new Secrets(); // Values for {{secret:NAME}}, file set in initialize()
+    this.nextRouteId = 1;
     this.config = null; // Will be set in initialize()
   }
 
@@ -258,10 +438,21 @@ class WebPilot {
     } else if (config.autoProfile === false) {
       // User explicitly disabled auto profile
       detectedProfile = null;
-    } else if (savedPrefs?.profile) {
-      // Use saved profile preference
+    } else if (savedPrefs?.profile && savedPrefs.browser === detectedBrowser) {
+      // Use saved profile preference (profiles only work with the browser they belong to)
       detectedProfile = savedPrefs.profile;
       console.log(`📋 Using saved profile preference: ${path.basename(detectedProfile)}`);
+    } else if (!WebPilot.getDefaultProfilePath(detectedBrowser)) {
+      // Firefox and WebKit have no installed profile to detect or prompt for
+      detectedProfile = null;
+      if (savedPrefs?.profile) {
+        console.log(`📋 Ignoring the saved ${WebPilot.getBrowserName(savedPrefs.browser)} profile - using a fresh ${WebPilot.getBrowserName(detectedBrowser)} session`);
+      }
+    } else if (config.mcp) {
+      // MCP mode owns stdin, so there is no way to prompt for a profile
+      detectedProfile = null;
+      const saved = savedPrefs?.profile ? `Saved profile is for ${WebPilot.getBrowserName(savedPrefs.browser)}` : 'No saved profile preference';
+      console.log(`📋 ${saved} - using a fresh session (run --select-profile to choose one)`);
     } else if (config.background || process.env.WEB_PILOT_BACKGROUND) {
       // Background mode without saved preferences - ERROR
       console.error(`\n❌ ERROR: Background mode requires saved profile preferences.`);
@@ -278,7 +469,7 @@ class WebPilot {
         
         if (profiles.length > 1) {
           // Multiple profiles - ask user to choose
-          const browserName = detectedBrowser === 'edge' ? 'Edge' : 'Chrome';
+          const browserName = WebPilot.getBrowserName(detectedBrowser);
           const selectedProfilePath = await WebPilot.promptProfileSelection(profiles, browserName);
           detectedProfile = selectedProfilePath;
           
@@ -299,6 +490,13 @@ class WebPilot {
       }
     }
     
+    // Firefox and WebKit can only use profile directories of their own
+    const { engine } = BROWSERS[detectedBrowser] || BROWSERS.chrome;
+    if (detectedProfile && engine !== 'chromium' && WebPilot.isChromiumProfile(detectedProfile)) {
+      console.log(`⚠️  Ignoring profile ${detectedProfile}: it is a Chromium profile, which ${WebPilot.getBrowserName(detectedBrowser)} can't open - using a fresh session`);
+      detectedProfile = null;
+    }
+    
     this.config = { 
       ...DEFAULT_CONFIG, 
       ...config,
@@ -309,21 +507,59 @@ class WebPilot {
     // Resolve paths
     this.commandPath = path.join(this.config.workDir, this.config.commandFile);
     this.resultPath = path.join(this.config.workDir, this.config.resultFile);
+    this.sessionPath = path.join(this.config.workDir, 'session.jsonl');
+    
+    // The LLM reads the working directory, so it would see the secrets
+    const secretsPath = path.resolve(this.config.workDir, this.config.secrets || DEFAULT_CONFIG.secrets);
+    if (this.isInWorkDir(secretsPath)) {
+      throw new Error(`Secrets file ${secretsPath} is inside the working directory, where the LLM can read it - pick a path outside ${this.config.workDir}`);
+    }
+    if (!config.secrets && fs.existsSync(path.join(this.config.workDir, 'secrets.json'))) {
+      console.log(`⚠️  Not reading secrets.json in the working directory (the LLM can read it) - move it to ${secretsPath}`);
+    }
+    this.secrets = new Secrets(secretsPath);
+    
+    if (this.config.policy) {
+      this.policy = typeof this.config.policy === 'string'
+        ? Policy.load(path.resolve(this.config.workDir, this.config.policy))
+        : new Policy(this.config.policy);
+      
+      // The LLM writes to the working directory, so it could confirm its own actions
+      if (this.policy.confirm.length && this.isInWorkDir(this.policy.confirmFile)) {
+        throw new Error(`Policy confirmFile ${this.policy.confirmFile} is inside the working directory, where the LLM can create it - pick a path outside ${this.config.workDir}`);
+      }
+      console.log(`🛡️  Policy: ${this.policy.describe()}`);
+    }
     
     return this;
   }
 
+  /**
+   * Whether a path is inside the working directory, where the LLM reads and writes
+   */
+  isInWorkDir(filepath) {
+    const relative = path.relative(path.resolve(this.config.workDir), path.resolve(filepath));
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+
   /**
    * Check if a browser process is running
    */
   isBrowserRunning(browserName) {
-    try {
-      const processName = browserName === 'edge' ? 'msedge.exe' : 'chrome.exe';
-      const result = execSync(`tasklist /FI "IMAGENAME eq ${processName}" /NH`, { encoding: 'utf-8' });
-      return result.toLowerCase().includes(processName.toLowerCase());
-    } catch (err) {
-      return false;
-    }
+    const processNames = (BROWSERS[browserName] || BROWSERS.chrome).processes[PLATFORM] || [];
+    return processNames.some((processName) => {
+      try {
+        if (PLATFORM === 'win32') {
+          const result = execSync(`tasklist /FI "IMAGENAME eq ${processName}" /NH`, { encoding: 'utf-8' });
+          return result.toLowerCase().includes(processName.toLowerCase());
+        }
+        // pgrep exits non-zero (and execSync throws) when nothing matches
+        execSync(`pgrep -x "${processName}"`, { stdio: 'ignore' });
+        return true;
+      } catch (err) {
+        return false;
+      }
+    });
   }
 
   /**
@@ -354,21 +590,74 @@ class WebPilot {
   getCommands() {
     return {
       'screenshot': 'Take a full-page screenshot',
+      'screenshot:annotated': 'Screenshot the viewport with numbered labels on interactive elements',
+      'screenshot:viewport': 'Screenshot just the visible part of the page',
+      'screenshot:<selector>': 'Screenshot a single element (selector or @ref)',
+      'screenshot:baseline:<name>': 'Save a full-page screenshot as a named baseline',
+      'screenshot:compare:<name>': 'Compare a new screenshot with a baseline (diff image, % changed, regions)',
       'text': 'Extract all visible text from the page',
       'html': 'Save the page HTML',
+      'markdown[:<maxChars>]': 'Extract the main content as Markdown (first page)',
+      'markdown:page:<n>[:<maxChars>]': 'Continue the last markdown extraction at page n',
       'url': 'Get the current URL',
       'title': 'Get the page title',
       'tables': 'Extract all tables from the page',
-      'links': 'Extract all links from the page',
+      'tables:json': 'Save each table (incl. ARIA grids) to table-<n>.json',
+      'tables:csv': 'Save each table (incl. ARIA grids) to table-<n>.csv',
+      'table:<target>': 'Get one table by number or selector (append :csv for CSV)',
+      'extract:<schema>': 'Extract repeated items using a JSON schema of selectors (file or inline)',
+      'links[:<filter>]': 'List links, 50 per page (filters: internal, external, match:<regex>, in:<selector>, page:<n>)',
+      'snapshot': 'List interactive elements with @refs for click/type targeting',
+      'requests': 'List recent fetch/XHR requests with status and size',
+      'response:<n>': 'Show the response body of request n (from requests)',
+      'network:start': 'Start recording all network traffic',
+      'network:stop': 'Stop recording and save a HAR file',
+      'block:<pattern>': 'Block requests by URL glob, resource type (image, font, ...) or "trackers"',
+      'mock:<pattern>:<file>': 'Answer requests matching a URL glob with a file\'s contents',
+      'unroute[:<n>]': 'Remove route rule n (or all rules)',
+      'routes': 'List active block/mock rules',
+      'console': 'Show console messages, page errors and failed requests since the last call',
+      'console:all': 'Show all buffered console messages, page errors and failed requests',
+      'downloads': 'List downloaded files with size and source URL',
+      'state:save:<name>': 'Save cookies and localStorage to states/<name>.json',
+      'state:load:<name>': 'Load cookies and localStorage saved with state:save',
+      'cookies[:<domain>]': 'List cookies (optionally only for a domain)',
+      'cookies:set:<cookie>': 'Set a cookie: name=value[; Domain=..; Path=..; Secure]',
+      'cookies:clear[:<domain>]': 'Delete all cookies (or those for a domain)',
+      'dialog': 'Show the pending JavaScript dialog (alert/confirm/prompt) and recent ones',
+      'dialog:accept[:<text>]': 'Accept the pending dialog (with text for prompts)',
+      'dialog:dismiss': 'Dismiss the pending dialog',
+      'dialog:policy:<policy>': 'Set how dialogs are handled: accept, dismiss, or queue',
+      'confirm:<token>': 'Allow the next submit/purchase/delete action held back by the safety policy',
       'goto:<url>': 'Navigate to a URL',
-      'click:<selector>': 'Click an element (CSS selector or text)',
-      'type:<selector>:<text>': 'Type text into an input field',
+      'click:<selector>': 'Click an element (CSS selector, text, or @ref from snapshot)',
+      'type:<selector>:<text>': 'Type text into an input field (selector or @ref); {{secret:NAME}} types a secret',
+      'typeslow:<selector>:<text>': 'Type text with real key events, one key at a time',
+      'select:<selector>:<value>': 'Choose a dropdown option by value or label',
+      'check:<selector>': 'Check a checkbox or radio button',
+      'uncheck:<selector>': 'Uncheck a checkbox',
+      'press:<keys>': 'Press a key or combo on the focused element (e.g. Enter, Control+A)',
+      'hover:<selector>': 'Move the mouse over an element',
+      'drag:<from>:<to>': 'Drag one element onto another',
+      'upload:<selector>:<path>': 'Set files on a file input (separate several paths with |)',
       'wait:<seconds>': 'Wait for specified seconds',
+      'waitfor:selector:<selector>[:<state>]': 'Wait for an element to be visible (or hidden/attached/detached)',
+      'waitfor:text:<text>': 'Wait for text to appear on the page',
+      'waitfor:url:<glob>': 'Wait for the URL to match a glob (e.g. **/dashboard*)',
+      'waitfor:networkidle': 'Wait until there are no network requests for 500ms',
+      'waitfor:js:<expression>': 'Wait until a JavaScript expression is truthy',
       'scroll:<direction>': 'Scroll the page (up/down/top/bottom)',
       'execute:<javascript>': 'Execute JavaScript code in browser context',
+      'run:<file>': 'Run a .pilot script file (one command per line)',
+      'export:playwright[:<file>]': 'Export the session as a Playwright test (default session.spec.js)',
+      'export:pilot[:<file>]': 'Export the session as a replayable .pilot script (default session.pilot)',
       'back': 'Go back in browser history',
       'forward': 'Go forward in browser history',
       'refresh': 'Refresh the current page',
+      'tabs': 'List open tabs',
+      'newtab[:<url>]': 'Open a new tab (optionally at a URL) and switch to it',
+      'switchtab:<n>': 'Switch to tab number n (from tabs)',
+      'closetab[:<n>]': 'Close tab number n (default: the current tab)',
       'quit': 'Close the browser and exit'
     };
   }
@@ -377,7 +666,8 @@ class WebPilot {
    * Start the browser and begin listening for commands
    */
   async start(initialUrl = null) {
-    const browserName = this.config.browser === 'edge' ? 'Edge' : 'Chrome';
+    const browser = BROWSERS[this.config.browser] || BROWSERS.chrome;
+    const browserName = browser.name;
     
     // Show what was detected/configured
     if (!this.config.profile) {
@@ -387,22 +677,28 @@ class WebPilot {
       console.log(`🚀 Web Pilot - Starting ${browserName}${wasAutoDetected ? ' (auto-detected)' : ''}...\n`);
     }
     
-    // Determine Playwright channel based on browser choice
-    const channel = this.config.browser === 'edge' ? 'msedge' : undefined;
+    // Determine Playwright engine and channel based on browser choice
+    const engine = playwright[browser.engine];
+    const channel = WebPilot.getChannel(this.config.browser, this.config.profile);
+    // Only Chromium understands --start-maximized
+    const args = browser.engine === 'chromium' ? ['--start-maximized'] : [];
     
     try {
       if (this.config.profile) {
         // Use persistent context when profile path is provided
         console.log(`📂 Using ${browserName} profile: ${this.config.profile}`);
-        console.log(`   Profile directory: ${path.basename(this.config.profile)}\n`);
+        console.log(`   Profile directory: ${path.basename(this.config.profile)}`);
+        if (channel === 'chrome') console.log('   Opening it with the installed Chrome (channel "chrome")');
+        console.log('');
         const launchOptions = {
           headless: this.config.headless,
           viewport: this.config.viewport,
-          args: ['--start-maximized']
+          args
         };
         if (channel) launchOptions.channel = channel;
         
-        this.context = await chromium.launchPersistentContext(this.config.profile, launchOptions);
+        this.context = await engine.launchPersistentContext(this.config.profile, launchOptions);
+        this.trackContext(this.context);
         
         // Create a fresh new page for web-pilot (don't use restored tabs from previous session)
         this.page = await this.context.newPage();
@@ -410,15 +706,25 @@ class WebPilot {
         // Standard launch without profile
         const launchOptions = {
           headless: this.config.headless,
-          args: ['--start-maximized']
+          args
         };
         if (channel) launchOptions.channel = channel;
         
-        this.browser = await chromium.launch(launchOptions);
+        this.browser = await engine.launch(launchOptions);
 
-        this.context = await this.browser.newContext({
-          viewport: this.config.viewport
-        });
+        const contextOptions = { viewport: this.config.viewport };
+        if (this.config.state) {
+          const statePath = this.getStatePath(this.config.state);
+          if (fs.existsSync(statePath)) {
+            contextOptions.storageState = statePath;
+            console.log(`🍪 Loading state: ${statePath}`);
+          } else {
+            console.log(`⚠️  State file not found, starting without it: ${statePath}`);
+          }
+        }
+        
+        this.context = await this.browser.newContext(contextOptions);
+        this.trackContext(this.context);
         
         this.page = await this.context.newPage();
       }
@@ -434,16 +740,35 @@ class WebPilot {
       throw error;
     }
 
-    if (initialUrl) {
+    // A persistent profile can't be given a storageState, so add it afterwards
+    if (this.config.state && this.config.profile) {
+      this.logRedacted(`🍪 ${await this.loadState(this.config.state)}`);
+    }
+
+    for (const target of this.config.block) {
+      console.log(`🚫 ${await this.blockRequests(target)}`);
+    }
+
+    if (this.policy && this.policy.restrictsNavigation()) {
+      await this.enforceNavigationPolicy(this.context);
+    }
+
+    const blockedStart = initialUrl && this.policy ? this.policy.checkUrl(initialUrl) : null;
+    if (blockedStart) {
+      console.log(`🛡️  Not opening start URL: ${blockedStart}`);
+    } else if (initialUrl) {
       console.log(`📍 Navigating to: ${initialUrl}`);
       await this.page.goto(initialUrl, { waitUntil: 'domcontentloaded' });
     }
 
-    // Clear old command file
+    // Clear old command file and start a fresh session transcript
     this.clearFile(this.commandPath);
+    this.clearFile(this.sessionPath);
     
     // Write ready status
     this.writeResult('READY: Browser is open and waiting for commands.');
+    this.isReady = true;
+    this.emit('ready', { url: this.page.url() });
     
     console.log('✅ Browser launched successfully!\n');
     console.log('📁 Command file:', this.commandPath);
@@ -471,24 +796,478 @@ class WebPilot {
     while (this.running) {
       await this.sleep(this.config.pollInterval);
       
-      try {
-        if (!fs.existsSync(this.commandPath)) continue;
-        
-        const command = fs.readFileSync(this.commandPath, 'utf-8').trim();
-        if (!command || command === this.lastCommand) continue;
-        
-        this.lastCommand = command;
-        console.log(`📥 Command: ${command}`);
+      this.readCommandFile();
+      
+      // Not awaited: the command file keeps being read (and queued) while
+      // long-running commands execute
+      if (!this.processingQueue && this.commandQueue.length > 0) {
+        this.processQueue();
+      }
+    }
+  }
+
+  /**
+   * Read the command file, consume it and queue its commands
+   */
+  readCommandFile() {
+    // Move the file out of the way before reading it, so a command written
+    // while this one is read lands in a new command file instead of being
+    // deleted with it. Consuming it also lets the same command be sent again.
+    const claimedPath = `${this.commandPath}.${process.pid}.reading`;
+    let raw;
+    try {
+      if (!fs.existsSync(this.commandPath)) return;
+      fs.renameSync(this.commandPath, claimedPath);
+      raw = fs.readFileSync(claimedPath, 'utf-8');
+    } catch (err) {
+      // Ignore file read errors during polling
+      return;
+    } finally {
+      this.clearFile(claimedPath);
+    }
+    
+    if (!raw.trim()) return;
+    
+    try {
+      this.commandQueue.push({ ...WebPilot.parseCommandFile(raw), receivedAt: Date.now() });
+    } catch (err) {
+      console.log(`⚠️  Invalid command envelope: ${err.message}`);
+      this.writeResult({
+        id: null,
+        status: 'error',
+        error: { code: 'BAD_REQUEST', message: err.message },
+        durationMs: 0,
+        url: null,
+        title: null,
+        payload: `ERROR: ${err.message}`
+      });
+    }
+  }
+
+  /**
+   * Queue a batch from another transport (e.g. the HTTP server) and resolve
+   * with its JSON output once it has run
+   */
+  submit(batch) {
+    return new Promise((resolve) => {
+      this.commandQueue.push({ ...batch, json: true, onResult: resolve, receivedAt: Date.now() });
+      if (!this.processingQueue) {
+        this.processQueue();
+      }
+    });
+  }
+
+  /**
+   * Run queued batches in the order they were received
+   */
+  async processQueue() {
+    this.processingQueue = true;
+    try {
+      while (this.commandQueue.length > 0) {
+        const batch = this.commandQueue.shift();
+        this.batchReceivedAt = batch.receivedAt || Date.now();
         
-        const result = await this.executeCommand(command);
-        this.writeResult(result);
+        let output;
+        try {
+          const results = await this.runBatch(batch.requests, batch.stopOnError);
+          if (!batch.multiple) {
+            output = batch.json ? results[0] : results[0].payload;
+          } else if (batch.json) {
+            output = {
+              id: batch.id,
+              status: results.every(r => r.status === 'ok') ? 'ok' : 'error',
+              results
+            };
+          } else {
+            output = WebPilot.formatResults(results);
+          }
+        } catch (err) {
+          // Still answer, so whoever sent the batch isn't left waiting
+          console.log(`⚠️  Failed to process command: ${err.message}`);
+          const error = {
+            id: batch.multiple ? batch.id : batch.requests[0].id,
+            status: 'error',
+            error: { code: 'COMMAND_FAILED', message: err.message },
+            durationMs: 0,
+            url: null,
+            title: null,
+            payload: `ERROR: ${err.message}`
+          };
+          output = batch.json ? error : error.payload;
+        }
         
+        if (batch.onResult) {
+          batch.onResult(output);
+        } else {
+          try {
+            this.writeResult(output);
+          } catch (err) {
+            console.log(`⚠️  Could not write result: ${err.message}`);
+          }
+        }
+      }
+    } finally {
+      this.processingQueue = false;
+    }
+  }
+
+  /**
+   * Run a list of requests in order, one result entry per step.
+   * When stopOnError is set, steps after a failure are reported as skipped.
+   */
+  async runBatch(requests, stopOnError = this.config.stopOnError) {
+    const results = [];
+    let failed = false;
+    
+    for (const request of requests) {
+      if (failed && stopOnError) {
+        results.push({
+          id: request.id,
+          command: request.command,
+          status: 'skipped',
+          error: null,
+          durationMs: 0,
+          url: null,
+          title: null,
+          payload: 'SKIPPED: a previous step failed'
+        });
+        continue;
+      }
+      
+      console.log(`📥 Command: ${request.command}${request.id !== null ? ` [id: ${request.id}]` : ''}`);
+      this.emit('command', { id: request.id, command: request.command });
+      
+      const result = await this.runCommand(request);
+      results.push(result);
+      this.emit('result', result);
+      
+      if (result.status === 'error') {
+        failed = true;
+        console.log(`❌ Failed\n`);
+      } else {
         console.log(`✅ Done\n`);
-        
-      } catch (err) {
-        // Ignore file read errors during polling
       }
     }
+    
+    return results;
+  }
+
+  /**
+   * Format step results as plain text, one block per step
+   */
+  static formatResults(results) {
+    return results
+      .map((result, index) => `[${index + 1}/${results.length}] ${result.command}\n${result.payload}`)
+      .join('\n\n');
+  }
+
+  /**
+   * Parse the raw contents of the command file into a batch of requests.
+   *
+   * Accepted formats:
+   *   - Plain text, one command per line (blank lines and # comments skipped)
+   *   - A JSON envelope: {"id": 1, "cmd": "goto", "args": ["https://example.com"]}
+   *   - A JSON array of envelopes and/or command strings
+   *   - A JSON batch: {"id": 1, "stopOnError": false, "commands": [...]}
+   *
+   * JSON input marks the batch so results are written back as JSON.
+   */
+  static parseCommandFile(raw) {
+    const text = raw.replace(/^\uFEFF/, '').trim();
+    
+    if (!text.startsWith('{') && !text.startsWith('[')) {
+      // Several lines are a batch only if each one is a command; otherwise
+      // it is a single command spanning lines (e.g. multi-line execute:)
+      const lines = WebPilot.parseScript(text);
+      const commands = lines.every(line => WebPilot.isCommandLine(line)) ? lines : [text];
+      const requests = commands.map(command => ({ id: null, command }));
+      return { id: null, json: false, multiple: requests.length > 1, stopOnError: undefined, requests };
+    }
+    
+    const data = JSON.parse(text);
+    
+    if (Array.isArray(data)) {
+      return { id: null, json: true, multiple: true, stopOnError: undefined, requests: data.map(WebPilot.parseEnvelope) };
+    }
+    
+    if (data && Array.isArray(data.commands)) {
+      return {
+        id: data.id === undefined ? null : data.id,
+        json: true,
+        multiple: true,
+        stopOnError: typeof data.stopOnError === 'boolean' ? data.stopOnError : undefined,
+        requests: data.commands.map(WebPilot.parseEnvelope)
+      };
+    }
+    
+    return { id: null, json: true, multiple: false, stopOnError: undefined, requests: [WebPilot.parseEnvelope(data)] };
+  }
+
+  /**
+   * Split script text into commands, skipping blank lines and # comments
+   */
+  static parseScript(text) {
+    return text
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+  }
+
+  /**
+   * Whether a line starts with a command name from getCommands()
+   */
+  static isCommandLine(line) {
+    if (!WebPilot.commandNames) {
+      WebPilot.commandNames = new Set(Object.keys(WebPilot.prototype.getCommands())
+        .map(pattern => pattern.split(/[:[]/)[0].toLowerCase()));
+    }
+    const name = line.match(/^[a-z]+/i);
+    return Boolean(name) && WebPilot.commandNames.has(name[0].toLowerCase())
+      && (line.length === name[0].length || line[name[0].length] === ':');
+  }
+
+  /**
+   * Turn a JSON envelope (or a bare command string) into a request
+   */
+  static parseEnvelope(envelope) {
+    if (typeof envelope === 'string') {
+      return { id: null, command: envelope.trim() };
+    }
+    if (!envelope || typeof envelope.cmd !== 'string' || !envelope.cmd.trim()) {
+      throw new Error('Command envelope requires a "cmd" string');
+    }
+    return {
+      id: envelope.id === undefined ? null : envelope.id,
+      command: WebPilot.buildCommand(envelope.cmd, envelope.args)
+    };
+  }
+
+  /**
+   * Build a command string from a command name and optional arguments.
+   * Arguments may be a single value or an array of positional values.
+   */
+  static buildCommand(cmd, args) {
+    const name = cmd.trim();
+    if (args === undefined || args === null) {
+      return name;
+    }
+    const values = Array.isArray(args) ? args : [args];
+    if (values.length === 0) {
+      return name;
+    }
+    return [name, ...values.map(value => String(value))].join(':');
+  }
+
+  /**
+   * Map an error result to a stable error code
+   */
+  static getErrorCode(message) {
+    if (message.startsWith('ERROR: Unknown command')) return 'UNKNOWN_COMMAND';
+    // Before the text checks: a blocked URL or label may contain any words
+    if (message.startsWith('ERROR: Blocked by policy')) return 'POLICY_BLOCKED';
+    if (/timeout|timed out/i.test(message)) return 'TIMEOUT';
+    if (/dialog is waiting/.test(message)) return 'DIALOG_PENDING';
+    return 'COMMAND_FAILED';
+  }
+
+  /**
+   * Describe side effects of the last command (tabs it opened, downloads,
+   * dialogs, errors the page reported), to be appended to its result
+   */
+  async getActionNotes() {
+    const notes = [];
+    
+    for (const page of this.newTabs) {
+      if (page.isClosed()) continue;
+      await page.waitForLoadState('domcontentloaded', { timeout: 5000 }).catch(() => {});
+      const index = this.context.pages().indexOf(page) + 1;
+      notes.push(`New tab opened [${index}]: ${page.url()} (use switchtab:${index} to control it)`);
+    }
+    this.newTabs = [];
+    
+    // Downloads that started during (or since) the last command. One still
+    // running is reported as in progress, and again with a later result
+    // once it has finished.
+    const unfinished = [];
+    for (const entry of this.newDownloads) {
+      if (!entry.reported) {
+        // Give the download a chance to finish so the result can say where it went
+        await Promise.race([entry.done, this.sleep(this.config.timeout)]);
+      }
+      if (entry.status === 'complete') {
+        notes.push(`Download saved: ${WebPilot.describeDownload(entry)}`);
+      } else if (entry.status === 'failed') {
+        notes.push(`Download failed: ${entry.filename}: ${entry.error}`);
+      } else {
+        if (!entry.reported) notes.push(`Download in progress: ${WebPilot.describeDownload(entry)}`);
+        entry.reported = true;
+        unfinished.push(entry);
+      }
+    }
+    this.newDownloads = unfinished;
+    
+    for (const entry of this.newDialogs) {
+      const outcome = entry.status === 'pending'
+        ? 'waiting (respond with dialog:accept[:text] or dialog:dismiss)'
+        : entry.status;
+      notes.push(`Dialog (${entry.type}): "${entry.message}" -> ${outcome}`);
+    }
+    this.newDialogs = [];
+    
+    const errors = this.consoleLog.filter(entry => entry.seq > this.actionStartSeq && WebPilot.isConsoleError(entry));
+    if (errors.length) {
+      notes.push(`New errors (${errors.length}):`);
+      errors.slice(0, 5).forEach(entry => notes.push(`  ${WebPilot.formatConsoleEntry(entry)}`));
+      if (errors.length > 5) {
+        notes.push(`  ...and ${errors.length - 5} more (see console)`);
+      }
+    }
+    
+    return notes.length ? `\n\n${notes.join('\n')}` : '';
+  }
+
+  /**
+   * With the "queue" dialog policy, a dialog blocks the action that opened
+   * it until someone answers. Resolve early in that case, leaving the action
+   * to finish in the background once the dialog is handled; the next command
+   * waits for it (see finishPausedAction).
+   */
+  untilDialog(action, command) {
+    if (this.config.dialogPolicy !== 'queue') {
+      return action;
+    }
+    
+    let listener;
+    const paused = new Promise((resolve) => {
+      listener = (dialog) => {
+        if (dialog.status === 'pending') {
+          resolve(PAUSED);
+        }
+      };
+      this.on('dialog', listener);
+    });
+    
+    return Promise.race([action, paused])
+      .then((result) => {
+        if (result !== PAUSED) return result;
+        const pausedAction = {
+          command,
+          settled: false,
+          waited: false,
+          result: action.then(outcome => outcome, err => `ERROR: ${err.message}`)
+        };
+        pausedAction.result.then(() => { pausedAction.settled = true; });
+        this.pausedAction = pausedAction;
+        return 'Paused: the page opened a dialog';
+      })
+      .finally(() => this.off('dialog', listener));
+  }
+
+  /**
+   * Wait (once, up to the command timeout) for an action paused by a dialog
+   * to finish, and describe how it ended - to be appended to the next result
+   */
+  async finishPausedAction() {
+    const paused = this.pausedAction;
+    if (!paused) return '';
+    
+    if (!paused.waited) {
+      paused.waited = true;
+      await Promise.race([paused.result, this.sleep(this.config.timeout)]);
+      if (!paused.settled) {
+        return `\n\nPaused command still running: ${paused.command}`;
+      }
+    }
+    if (!paused.settled) return '';
+    
+    this.pausedAction = null;
+    const outcome = (await paused.result).split('\n')[0];
+    return `\n\nPaused command finished: ${paused.command} -> ${outcome}`;
+  }
+
+  /**
+   * A pending dialog on the active tab, if any
+   */
+  getBlockingDialog() {
+    return this.pendingDialogs.find(entry => entry.page === this.page) || null;
+  }
+
+  /**
+   * Run a command and describe the outcome as a structured result
+   */
+  async runCommand({ id = null, command }) {
+    const startedAt = Date.now();
+    this.newTabs = [];
+    this.newDialogs = [];
+    this.newViolations = [];
+    this.resolvedTargets = [];
+    this.actionStartSeq = this.consoleSeq;
+    
+    let payload;
+    const blockingDialog = this.getBlockingDialog();
+    if (blockingDialog && !/^(dialog|tabs|switchtab|newtab|url|quit)\b/i.test(command.trim())) {
+      // Anything that touches the page would hang until the dialog is answered
+      payload = `ERROR: A ${blockingDialog.type} dialog is waiting: "${blockingDialog.message}". Respond with dialog:accept[:text] or dialog:dismiss first.`;
+    } else {
+      // Anything but answering the dialog runs once the command it paused is done
+      const earlier = /^(dialog|tabs|switchtab|newtab|url|quit)\b/i.test(command.trim()) ? '' : await this.finishPausedAction();
+      payload = (await this.untilDialog(this.executeCommand(command), command)) + earlier;
+    }
+    if (this.newViolations.length) {
+      // The page tried to go somewhere the policy forbids (a link, redirect or script)
+      const reasons = [...new Set(this.newViolations)].join('; ');
+      payload = `ERROR: Blocked by policy: ${reasons}` + (payload.startsWith('ERROR:') ? '' : `\n\n${payload}`);
+      this.newViolations = [];
+    }
+    const failed = typeof payload === 'string' && payload.startsWith('ERROR:');
+    payload += await this.getActionNotes();
+    // Pages can echo typed secrets back (input values, error messages, GET form URLs)
+    payload = this.secrets.redact(payload);
+    
+    let url = null;
+    let title = null;
+    try {
+      url = this.secrets.redact(this.page.url());
+      title = this.getBlockingDialog() ? null : this.secrets.redact(await this.page.title());
+    } catch {
+      // Page may be closed or mid-navigation
+    }
+    
+    const result = {
+      id,
+      command,
+      status: failed ? 'error' : 'ok',
+      error: failed ? { code: WebPilot.getErrorCode(payload), message: payload.substring(7).trim() } : null,
+      durationMs: Date.now() - startedAt,
+      url,
+      title,
+      payload
+    };
+    
+    this.recordCommand(result);
+    return result;
+  }
+
+  /**
+   * Append a command and its outcome to the session transcript
+   */
+  recordCommand(result) {
+    const entry = {
+      time: new Date().toISOString(),
+      command: result.command,
+      status: result.status,
+      durationMs: result.durationMs,
+      url: result.url,
+      targets: this.resolvedTargets,
+      payload: result.payload.length > 500 ? result.payload.substring(0, 500) + '…' : result.payload
+    };
+    
+    this.session.push(entry);
+    try {
+      fs.appendFileSync(this.sessionPath, this.secrets.redact(JSON.stringify(entry)) + '\n');
+    } catch {
+      // The in-memory transcript is still available for export
+    }
   }
 
   /**
@@ -498,15 +1277,32 @@ class WebPilot {
     try {
       const cmd = command.toLowerCase();
       
+      if (cmd !== 'quit') {
+        const noTab = await this.ensurePage();
+        if (noTab) return noTab;
+      }
+      
+      if (this.policy) {
+        const blocked = await this.checkPolicy(command);
+        if (blocked) {
+          this.logRedacted(`🛡️  Blocked by policy: ${blocked}`);
+          return `ERROR: Blocked by policy: ${blocked}`;
+        }
+      }
+      
       // Simple commands
-      if (cmd === 'screenshot') {
-        return await this.takeScreenshot();
+      if (cmd === 'screenshot' || cmd.startsWith('screenshot:')) {
+        return await this.takeScreenshot(command.substring(11).trim());
       }
       
       if (cmd === 'text') {
         return await this.extractText();
       }
       
+      if (cmd === 'markdown' || cmd.startsWith('markdown:')) {
+        return await this.extractMarkdown(command.substring(9).trim());
+      }
+      
       if (cmd === 'html') {
         return await this.saveHtml();
       }
@@ -523,57 +1319,183 @@ class WebPilot {
         return await this.extractTables();
       }
       
-      if (cmd === 'links') {
-        return await this.extractLinks();
+      if (cmd === 'tables:json' || cmd === 'tables:csv') {
+        return await this.exportTables(cmd.substring(7));
       }
       
-      if (cmd === 'back') {
-        await this.page.goBack();
-        return `Navigated back to: ${this.page.url()}`;
+      if (cmd.startsWith('table:')) {
+        return await this.exportTable(command.substring(6).trim());
       }
       
-      if (cmd === 'forward') {
-        await this.page.goForward();
-        return `Navigated forward to: ${this.page.url()}`;
+      if (cmd.startsWith('extract:')) {
+        return await this.extractData(command.substring(8).trim());
       }
       
-      if (cmd === 'refresh') {
-        await this.page.reload();
-        return `Refreshed: ${this.page.url()}`;
+      if (cmd === 'links' || cmd.startsWith('links:')) {
+        return await this.extractLinks(command.substring(6).trim());
       }
       
-      if (cmd === 'quit') {
-        this.running = false;
-        // Close browser or persistent context depending on which was used
-        if (this.browser) {
-          await this.browser.close();
-        } else if (this.context) {
-          await this.context.close();
-        }
-        console.log('👋 Browser closed. Goodbye!');
-        process.exit(0);
+      if (cmd === 'snapshot') {
+        return await this.takeSnapshot();
       }
       
-      // Commands with parameters
-      if (command.startsWith('goto:')) {
-        const url = command.substring(5).trim();
-        await this.page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.config.timeout });
-        return `Navigated to: ${this.page.url()}`;
+      if (cmd === 'requests') {
+        return this.listRequests();
       }
       
-      if (command.startsWith('click:')) {
-        const selector = command.substring(6).trim();
-        return await this.clickElement(selector);
+      if (cmd === 'network:start') {
+        return this.network.startHar()
+          ? 'Recording network traffic. Send network:stop to save a HAR file.'
+          : 'ERROR: Already recording network traffic';
+      }
+      
+      if (cmd === 'network:stop') {
+        return this.saveHar();
+      }
+      
+      if (cmd === 'console' || cmd === 'console:all') {
+        return this.showConsole(cmd.substring(8));
+      }
+      
+      if (command.startsWith('confirm:')) {
+        return this.confirmAction(command.substring(8).trim());
+      }
+      
+      if (cmd === 'dialog' || cmd.startsWith('dialog:')) {
+        return await this.dialogCommand(command.substring(7).trim());
+      }
+      
+      if (cmd.startsWith('state:save:')) {
+        return await this.saveState(command.substring(11).trim());
+      }
+      
+      if (cmd.startsWith('state:load:')) {
+        return await this.loadState(command.substring(11).trim());
+      }
+      
+      if (cmd === 'cookies' || cmd.startsWith('cookies:')) {
+        return await this.cookiesCommand(command.substring(8).trim());
+      }
+      
+      if (cmd === 'downloads') {
+        return this.listDownloads();
+      }
+      
+      if (cmd === 'routes') {
+        return this.listRoutes();
+      }
+      
+      if (cmd === 'unroute' || command.startsWith('unroute:')) {
+        return await this.removeRoutes(command.substring(8).trim());
+      }
+      
+      if (cmd === 'back') {
+        await this.page.goBack();
+        return `Navigated back to: ${this.page.url()}`;
+      }
+      
+      if (cmd === 'forward') {
+        await this.page.goForward();
+        return `Navigated forward to: ${this.page.url()}`;
+      }
+      
+      if (cmd === 'refresh') {
+        await this.page.reload();
+        return `Refreshed: ${this.page.url()}`;
+      }
+      
+      if (cmd === 'tabs') {
+        return await this.listTabs();
+      }
+      
+      if (cmd === 'newtab' || command.startsWith('newtab:')) {
+        return await this.openTab(command.substring(7).trim());
+      }
+      
+      if (command.startsWith('switchtab:')) {
+        return await this.switchTab(command.substring(10).trim());
+      }
+      
+      if (cmd === 'closetab' || command.startsWith('closetab:')) {
+        return await this.closeTab(command.substring(9).trim());
+      }
+      
+      if (cmd === 'quit') {
+        await this.close();
+        console.log('👋 Browser closed. Goodbye!');
+        process.exit(0);
+      }
+      
+      // Commands with parameters
+      if (command.startsWith('goto:')) {
+        const url = command.substring(5).trim();
+        await this.page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.config.timeout });
+        return `Navigated to: ${this.page.url()}`;
+      }
+      
+      if (command.startsWith('block:')) {
+        return await this.blockRequests(command.substring(6).trim());
+      }
+      
+      if (command.startsWith('mock:')) {
+        return await this.mockRequests(command.substring(5).trim());
+      }
+      
+      if (command.startsWith('response:')) {
+        return await this.showResponse(command.substring(9).trim());
+      }
+      
+      if (command.startsWith('click:')) {
+        const selector = command.substring(6).trim();
+        return await this.clickElement(selector);
       }
       
       if (command.startsWith('type:')) {
-        const parts = command.substring(5).split(':');
-        const selector = parts[0].trim();
-        const text = parts.slice(1).join(':').trim();
-        await this.page.fill(selector, text);
+        const [selector, text] = WebPilot.splitTarget(command.substring(5));
+        await this.page.fill(await this.resolveTarget(selector), this.secrets.resolve(text));
         return `Typed "${text}" into ${selector}`;
       }
       
+      if (command.startsWith('typeslow:')) {
+        const [selector, text] = WebPilot.splitTarget(command.substring(9));
+        return await this.typeSlowly(selector, text);
+      }
+      
+      if (command.startsWith('select:')) {
+        const [selector, value] = WebPilot.splitTarget(command.substring(7));
+        return await this.selectOption(selector, value);
+      }
+      
+      if (command.startsWith('check:')) {
+        return await this.setChecked(command.substring(6).trim(), true);
+      }
+      
+      if (command.startsWith('uncheck:')) {
+        return await this.setChecked(command.substring(8).trim(), false);
+      }
+      
+      if (command.startsWith('press:')) {
+        return await this.pressKeys(command.substring(6).trim());
+      }
+      
+      if (command.startsWith('hover:')) {
+        return await this.hoverElement(command.substring(6).trim());
+      }
+      
+      if (command.startsWith('drag:')) {
+        const [from, to] = WebPilot.splitTarget(command.substring(5));
+        return await this.dragElement(from, to);
+      }
+      
+      if (command.startsWith('upload:')) {
+        const [selector, files] = WebPilot.splitTarget(command.substring(7));
+        return await this.uploadFiles(selector, files);
+      }
+      
+      if (command.startsWith('waitfor:')) {
+        return await this.waitFor(command.substring(8).trim());
+      }
+      
       if (command.startsWith('wait:')) {
         const seconds = parseInt(command.substring(5).trim()) || 2;
         await this.sleep(seconds * 1000);
@@ -590,6 +1512,15 @@ class WebPilot {
         return await this.executeJavaScript(code);
       }
       
+      if (command.startsWith('export:')) {
+        return this.exportSession(command.substring(7).trim());
+      }
+      
+      if (command.startsWith('run:')) {
+        const file = command.substring(4).trim();
+        return await this.runScript(file);
+      }
+      
       return `ERROR: Unknown command: ${command}`;
       
     } catch (err) {
@@ -597,34 +1528,254 @@ class WebPilot {
     }
   }
 
+  /**
+   * Export the session transcript as a Playwright test or a .pilot script
+   */
+  exportSession(args) {
+    const [format, file] = WebPilot.splitTarget(args);
+    const formats = {
+      playwright: { build: toPlaywrightScript, defaultFile: 'session.spec.js' },
+      pilot: { build: toPilotScript, defaultFile: 'session.pilot' }
+    };
+    
+    const exporter = formats[format.toLowerCase()];
+    if (!exporter) {
+      return `ERROR: Unknown export format: ${format}. Use export:playwright or export:pilot.`;
+    }
+    
+    const { script, steps } = exporter.build(this.session, this.config.workDir);
+    const filepath = path.resolve(this.config.workDir, file || exporter.defaultFile);
+    this.saveFile(filepath, script);
+    return `Exported ${steps} steps to ${filepath}`;
+  }
+
+  /**
+   * Run a .pilot script file, one command per line
+   */
+  async runScript(file) {
+    let scriptPath = path.resolve(this.config.workDir, file);
+    if (!fs.existsSync(scriptPath) && !path.extname(scriptPath)) {
+      scriptPath += '.pilot';
+    }
+    if (!fs.existsSync(scriptPath)) {
+      return `ERROR: Script not found: ${scriptPath}`;
+    }
+    if (this.scriptDepth >= 5) {
+      return `ERROR: Scripts nested too deeply (run: inside run: more than 5 levels)`;
+    }
+    
+    const commands = WebPilot.parseScript(fs.readFileSync(scriptPath, 'utf-8'));
+    
+    this.scriptDepth++;
+    let results;
+    try {
+      results = await this.runBatch(commands.map(command => ({ id: null, command })));
+    } finally {
+      this.scriptDepth--;
+    }
+    
+    const failedIndex = results.findIndex(r => r.status === 'error');
+    const header = failedIndex === -1
+      ? `Ran ${path.basename(scriptPath)}: ${results.length} steps`
+      : `ERROR: ${path.basename(scriptPath)} failed at step ${failedIndex + 1}/${results.length} (${results[failedIndex].command})`;
+    
+    return `${header}\n\n${WebPilot.formatResults(results)}`;
+  }
+
   /**
    * Take a screenshot and save it
    */
-  async takeScreenshot() {
+  async takeScreenshot(args = '') {
+    const mode = args.toLowerCase();
+    
+    if (mode === 'annotated') {
+      return await this.takeAnnotatedScreenshot();
+    }
+    
+    if (mode.startsWith('baseline:') || mode.startsWith('compare:')) {
+      const separator = args.indexOf(':');
+      return await this.compareScreenshot(mode.substring(0, separator), args.substring(separator + 1).trim());
+    }
+    
     const timestamp = Date.now();
     const filename = `screenshot-${timestamp}.png`;
     const filepath = path.join(this.config.workDir, filename);
-    await this.page.screenshot({ path: filepath, fullPage: true });
+    
+    if (!args) {
+      await this.page.screenshot({ path: filepath, fullPage: true });
+    } else if (mode === 'viewport') {
+      await this.page.screenshot({ path: filepath });
+    } else {
+      // Element-only capture of a selector or @ref
+      const locator = this.page.locator(await this.resolveTarget(args)).first();
+      await locator.screenshot({ path: filepath, timeout: this.config.timeout });
+    }
     return `Screenshot saved: ${filepath}`;
   }
 
+  /**
+   * Save a full-page screenshot as a named baseline, or compare a new one
+   * against it, writing a diff image that shows changed pixels in red
+   */
+  async compareScreenshot(action, name) {
+    if (!name) {
+      return `ERROR: screenshot:${action} requires a name, e.g. screenshot:${action}:dashboard`;
+    }
+    
+    const safeName = name.replace(/[^\w.-]+/g, '_');
+    const baselinePath = path.join(this.config.workDir, `baseline-${safeName}.png`);
+    
+    if (action === 'baseline') {
+      await this.page.screenshot({ path: baselinePath, fullPage: true });
+      return `Baseline "${name}" saved: ${baselinePath}`;
+    }
+    
+    if (!fs.existsSync(baselinePath)) {
+      return `ERROR: No baseline named "${name}" (take one with screenshot:baseline:${name})`;
+    }
+    
+    const timestamp = Date.now();
+    const filepath = path.join(this.config.workDir, `screenshot-${timestamp}.png`);
+    await this.page.screenshot({ path: filepath, fullPage: true });
+    
+    const result = compareImages(png.decode(fs.readFileSync(baselinePath)), png.decode(fs.readFileSync(filepath)));
+    const diffPath = path.join(this.config.workDir, `diff-${safeName}-${timestamp}.png`);
+    fs.writeFileSync(diffPath, png.encode(result.diff));
+    
+    return [
+      `Screenshot saved: ${filepath}`,
+      `Diff image saved: ${diffPath}`,
+      '',
+      `Compared with baseline "${name}": ${describeComparison(result)}`
+    ].join('\n');
+  }
+
+  /**
+   * Screenshot the viewport with numbered boxes over every interactive
+   * element (set-of-marks), and list what each number points at. Labels are
+   * snapshot refs, so click:#12 and click:@12 target the same element.
+   */
+  async takeAnnotatedScreenshot() {
+    // Tag the interactive elements (and refresh refInfo) the same way snapshot does
+    await this.takeSnapshot();
+    
+    const labeled = await this.page.evaluate(() => {
+      const COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#008080', '#9a6324', '#800000'];
+      const overlay = document.createElement('div');
+      overlay.id = '__pilot-annotations';
+      overlay.style.cssText = 'position:absolute;top:0;left:0;width:0;height:0;z-index:2147483647;pointer-events:none;';
+      
+      const labels = [];
+      for (const el of document.querySelectorAll('[data-pilot-ref]')) {
+        const rect = el.getBoundingClientRect();
+        const inViewport = rect.width > 0 && rect.height > 0
+          && rect.bottom > 0 && rect.right > 0
+          && rect.top < window.innerHeight && rect.left < window.innerWidth;
+        if (!inViewport) continue;
+        
+        const label = el.getAttribute('data-pilot-ref');
+        const color = COLORS[labels.length % COLORS.length];
+        const top = rect.top + window.scrollY;
+        const left = rect.left + window.scrollX;
+        
+        const box = document.createElement('div');
+        box.style.cssText = `position:absolute;box-sizing:border-box;border:2px solid ${color};`
+          + `top:${top}px;left:${left}px;width:${rect.width}px;height:${rect.height}px;`;
+        const badge = document.createElement('div');
+        badge.textContent = label;
+        badge.style.cssText = `position:absolute;top:${Math.max(top - 14, 0)}px;left:${left}px;`
+          + `background:${color};color:#fff;font:bold 11px/14px monospace;padding:0 3px;border-radius:2px;`;
+        overlay.append(box, badge);
+        labels.push(label);
+      }
+      
+      document.documentElement.appendChild(overlay);
+      return labels;
+    });
+    
+    const filepath = path.join(this.config.workDir, `screenshot-annotated-${Date.now()}.png`);
+    try {
+      await this.page.screenshot({ path: filepath });
+    } finally {
+      await this.page.evaluate(() => {
+        const overlay = document.getElementById('__pilot-annotations');
+        if (overlay) overlay.remove();
+      }).catch(() => {});
+    }
+    
+    const lines = [];
+    for (const label of labeled) {
+      const info = this.refInfo.get(label) || {};
+      const locator = await this.getStableSelector(`@${label}`);
+      lines.push(`#${label} ${info.role || 'clickable'}${info.name ? ` "${info.name}"` : ''} -> ${locator}`);
+    }
+    
+    return `Screenshot saved: ${filepath}\n\n${labeled.length} labeled elements in view `
+      + `(target with click:#<label>, type:#<label>:<text>):\n${lines.join('\n')}`;
+  }
+
   /**
    * Extract all visible text from the page
    */
   async extractText() {
     const text = await this.page.evaluate(() => document.body.innerText);
     const filepath = path.join(this.config.workDir, 'page-text.txt');
-    fs.writeFileSync(filepath, text);
+    this.saveFile(filepath, text);
     return text;
   }
 
+  /**
+   * Extract the page's main content as Markdown, one page of at most
+   * maxChars characters at a time:
+   *   markdown[:<maxChars>]               First page (re-reads the page)
+   *   markdown:page:<n>[:<maxChars>]      Page n of the last extraction
+   */
+  async extractMarkdown(args) {
+    const parts = args ? args.split(':').map(part => part.trim()) : [];
+    let pageNumber = 1;
+    if (parts[0] && parts[0].toLowerCase() === 'page') {
+      pageNumber = parseInt(parts[1]);
+      parts.splice(0, 2);
+      if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+        return 'ERROR: markdown:page requires a page number, e.g. markdown:page:2';
+      }
+    }
+    
+    const maxChars = parts[0] ? parseInt(parts[0]) : this.config.maxChars;
+    if (!Number.isInteger(maxChars) || maxChars < 100) {
+      return `ERROR: Invalid character budget: ${parts[0]} (use a number of at least 100)`;
+    }
+    
+    // Later pages reuse the last extraction so page boundaries stay put
+    if (pageNumber === 1 || !this.markdown || this.markdown.url !== this.page.url()) {
+      this.markdown = await this.page.evaluate(pageToMarkdown);
+      this.markdown.markdown = this.secrets.redact(this.markdown.markdown);
+      this.saveFile(path.join(this.config.workDir, 'page.md'), this.markdown.markdown);
+    }
+    
+    const { title, url, markdown } = this.markdown;
+    const pages = paginate(markdown, maxChars);
+    if (pageNumber > pages.length) {
+      return `ERROR: Page ${pageNumber} is past the end (${pages.length} page${pages.length === 1 ? '' : 's'} at ${maxChars} characters)`;
+    }
+    
+    const shown = pages.slice(0, pageNumber).reduce((total, page) => total + page.length, 0);
+    const remaining = Math.max(markdown.length - shown, 0);
+    const footer = pageNumber < pages.length
+      ? `[Page ${pageNumber} of ${pages.length} - ${remaining} more characters. Continue with markdown:page:${pageNumber + 1}${maxChars === this.config.maxChars ? '' : `:${maxChars}`}]`
+      : `[Page ${pageNumber} of ${pages.length} - end of content]`;
+    
+    const header = pageNumber === 1 ? `Title: ${title}\nURL: ${url}\n\n` : '';
+    return `${header}${pages[pageNumber - 1] || '(No readable content found)'}\n\n${footer}`;
+  }
+
   /**
    * Save the page HTML
    */
   async saveHtml() {
     const html = await this.page.content();
     const filepath = path.join(this.config.workDir, 'page.html');
-    fs.writeFileSync(filepath, html);
+    this.saveFile(filepath, html);
     return `HTML saved: ${filepath}`;
   }
 
@@ -647,100 +1798,1854 @@ class WebPilot {
     });
     
     const filepath = path.join(this.config.workDir, 'tables.txt');
-    fs.writeFileSync(filepath, tables);
+    this.saveFile(filepath, tables);
     return tables || 'No tables found on page';
   }
 
   /**
-   * Extract all links from the page
+   * Write every table (HTML tables and ARIA grids) to its own
+   * table-<n>.json or table-<n>.csv file
    */
-  async extractLinks() {
-    const links = await this.page.evaluate(() => {
-      return Array.from(document.querySelectorAll('a[href]'))
-        .map(a => ({ text: a.innerText.trim(), href: a.href }))
-        .filter(l => l.text && l.href)
-        .slice(0, 50); // Limit to 50 links
-    });
+  async exportTables(format) {
+    const tables = await this.page.evaluate(readTables);
+    if (tables.length === 0) {
+      return 'No tables found on page';
+    }
     
-    const formatted = links.map(l => `${l.text}: ${l.href}`).join('\n');
-    return `Found ${links.length} links:\n${formatted}`;
+    const lines = tables.map((table) => {
+      const filepath = this.writeTable(table, format);
+      return `${describeTable(table)}\n  -> ${filepath}`;
+    });
+    return `Found ${tables.length} table${tables.length === 1 ? '' : 's'}:\n${lines.join('\n')}`;
   }
 
   /**
-   * Click an element by selector or text content
+   * Fetch a single table by number or selector (@ref, CSS, ...) pointing at
+   * the table, something inside it, or something containing it:
+   *   table:<n>[:json|csv]
+   *   table:<selector>[:json|csv]
    */
-  async clickElement(selector) {
-    try {
-      // First try as CSS selector
-      await this.page.click(selector, { timeout: 5000 });
-    } catch {
-      // Try as text content
-      await this.page.click(`text=${selector}`, { timeout: 5000 });
+  async exportTable(args) {
+    let target = args;
+    let format = 'json';
+    const formatMatch = args.match(/:(json|csv)$/i);
+    if (formatMatch) {
+      format = formatMatch[1].toLowerCase();
+      target = args.substring(0, args.length - formatMatch[0].length).trim();
     }
-    await this.page.waitForLoadState('domcontentloaded');
-    return `Clicked: ${selector}`;
+    if (!target) {
+      return 'ERROR: table requires a table number or selector, e.g. table:2 or table:#prices';
+    }
+    
+    let table;
+    if (/^\d+$/.test(target)) {
+      const tables = await this.page.evaluate(readTables);
+      table = tables[parseInt(target) - 1];
+      if (!table) {
+        return `ERROR: No table ${target} (found ${tables.length} table${tables.length === 1 ? '' : 's'} on page)`;
+      }
+    } else {
+      const locator = this.page.locator(await this.resolveTarget(target)).first();
+      [table] = await locator.evaluate(readTables, null, { timeout: this.config.timeout });
+      if (!table) {
+        return `ERROR: No table found at ${target}`;
+      }
+    }
+    
+    const filepath = this.writeTable(table, format);
+    const data = format === 'csv' ? toCsv(table) : JSON.stringify(toRecords(table), null, 2);
+    const preview = data.length > this.config.maxChars
+      ? `${data.substring(0, this.config.maxChars)}\n... (truncated - full table in ${path.basename(filepath)})`
+      : data;
+    return `${describeTable(table)}\nSaved: ${filepath}\n\n${preview}`;
   }
 
   /**
-   * Scroll the page
+   * Write a table as JSON records or CSV, returning the file path
    */
-  async scroll(direction) {
-    switch (direction) {
-      case 'up':
-        await this.page.evaluate(() => window.scrollBy(0, -500));
-        return 'Scrolled up';
-      case 'down':
-        await this.page.evaluate(() => window.scrollBy(0, 500));
-        return 'Scrolled down';
-      case 'top':
-        await this.page.evaluate(() => window.scrollTo(0, 0));
-        return 'Scrolled to top';
-      case 'bottom':
-        await this.page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-        return 'Scrolled to bottom';
-      default:
-        return `Unknown scroll direction: ${direction}`;
-    }
+  writeTable(table, format) {
+    const filepath = path.join(this.config.workDir, `table-${table.index}.${format}`);
+    this.saveFile(filepath, format === 'csv' ? toCsv(table) : JSON.stringify(toRecords(table), null, 2));
+    return filepath;
   }
 
   /**
-   * Execute JavaScript code in the browser context
+   * Extract repeated items described by a schema (a JSON file in the working
+   * directory, or inline JSON), following "next" links when given, and save
+   * them to extract-<name>.json
    */
-  async executeJavaScript(code) {
+  async extractData(args) {
+    if (!args) {
+      return 'ERROR: extract requires a schema file, e.g. extract:products.json';
+    }
+    
+    let schema;
+    let outputName;
     try {
-      // Execute the code with a timeout
-      const result = await Promise.race([
-        this.page.evaluate((code) => {
-          // Use indirect eval to execute in global scope
-          const fn = new Function('return ' + code);
-          return fn();
-        }, code),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Execution timeout')), 30000)
-        )
-      ]);
-
-      // Handle undefined result
-      if (result === undefined) {
-        return 'undefined';
+      if (args.startsWith('{')) {
+        schema = JSON.parse(args);
+        outputName = 'extract.json';
+      } else {
+        const schemaPath = path.resolve(this.config.workDir, args);
+        if (!fs.existsSync(schemaPath)) {
+          return `ERROR: Schema file not found: ${schemaPath}`;
+        }
+        schema = JSON.parse(fs.readFileSync(schemaPath, 'utf-8'));
+        outputName = `extract-${path.basename(schemaPath, path.extname(schemaPath))}.json`;
       }
-
-      // Convert result to string
-      if (typeof result === 'object') {
-        return JSON.stringify(result, null, 2);
+      schema = validateSchema(schema);
+    } catch (err) {
+      return `ERROR: Invalid schema: ${err.message}`;
+    }
+    
+    const items = [];
+    let pages = 0;
+    let stopReason = null;
+    
+    while (true) {
+      const pageItems = await this.page.evaluate(extractItems, { items: schema.items, fields: schema.fields });
+      items.push(...pageItems);
+      pages++;
+      
+      if (!schema.next) break;
+      if (pages >= schema.maxPages) {
+        stopReason = `stopped at maxPages (${schema.maxPages})`;
+        break;
       }
+      stopReason = await this.goToNextPage(schema);
+      if (stopReason) break;
+    }
+    
+    const filepath = path.join(this.config.workDir, outputName);
+    this.saveFile(filepath, JSON.stringify(items, null, 2));
+    
+    const from = pages > 1 ? ` from ${pages} pages` : '';
+    const summary = `Extracted ${items.length} item${items.length === 1 ? '' : 's'}${from}${stopReason ? ` (${stopReason})` : ''} -> ${filepath}`;
+    if (items.length === 0) {
+      return `${summary}\nNo elements matched "${schema.items}"`;
+    }
+    
+    const data = JSON.stringify(items, null, 2);
+    const preview = data.length > this.config.maxChars
+      ? `${data.substring(0, this.config.maxChars)}\n... (truncated - all items in ${outputName})`
+      : data;
+    return `${summary}\n\n${preview}`;
+  }
 
-      return String(result);
-    } catch (error) {
-      return `ERROR: ${error.message}`;
+  /**
+   * Click the schema's next-page control and wait for new items. Returns
+   * why pagination ended, or null if the next page loaded.
+   */
+  async goToNextPage(schema) {
+    const next = this.page.locator(schema.next).first();
+    if (await next.count() === 0 || !(await next.isVisible()) || !(await next.isEnabled())
+      || await next.getAttribute('aria-disabled') === 'true') {
+      return 'no next page';
+    }
+    
+    // The page has changed once the URL or the first item differs
+    const signature = await this.page.evaluate(({ items }) => {
+      const first = document.querySelector(items);
+      return `${location.href}|${first ? first.innerText : ''}`;
+    }, schema);
+    
+    // The next control is clicked like click: would, so it gets the same checks
+    if (this.policy) {
+      const activation = await next.evaluate(describeActivation, undefined, { timeout: 5000 }).catch(() => null);
+      const blocked = this.checkActivation(activation, `next page (${schema.next})`);
+      if (blocked) {
+        this.newViolations.push(blocked);
+        this.logRedacted(`🛡️  Blocked by policy: ${blocked}`);
+        return 'next page blocked by policy';
+      }
+    }
+    
+    await next.click({ timeout: this.config.timeout });
+    try {
+      await this.page.waitForFunction(({ items, before }) => {
+        const first = document.querySelector(items);
+        return first && `${location.href}|${first.innerText}` !== before;
+      }, { items: schema.items, before: signature }, { timeout: this.config.timeout });
+    } catch (err) {
+      return 'next page did not load new items';
     }
+    await this.page.waitForLoadState('domcontentloaded').catch(() => {});
+    return null;
   }
 
   /**
-   * Write result to the result file
+   * List the page's links, deduplicated and 50 per page, with filters:
+   *   links[:internal|:external][:match:<regex>|:in:<selector>][:page:<n>]
+   * The full (filtered) list is saved to links.json.
    */
-  writeResult(content) {
-    fs.writeFileSync(this.resultPath, content);
+  async extractLinks(args = '') {
+    let rest = args;
+    let pageNumber = 1;
+    const pageMatch = rest.match(/(^|:)page:(\d+)$/i);
+    if (pageMatch) {
+      pageNumber = Math.max(parseInt(pageMatch[2]), 1);
+      rest = rest.substring(0, rest.length - pageMatch[0].length);
+    }
+    
+    let scope = null;
+    const scopeMatch = rest.match(/^(internal|external)(:|$)/i);
+    if (scopeMatch) {
+      scope = scopeMatch[1].toLowerCase();
+      rest = rest.substring(scopeMatch[0].length);
+    }
+    
+    let pattern = null;
+    let container = null;
+    if (/^match:/i.test(rest)) {
+      try {
+        pattern = new RegExp(rest.substring(6), 'i');
+      } catch (err) {
+        return `ERROR: Invalid regex: ${err.message}`;
+      }
+    } else if (/^in:/i.test(rest)) {
+      container = rest.substring(3).trim();
+    } else if (rest) {
+      return `ERROR: Unknown links filter: ${rest}. Use internal, external, match:<regex>, in:<selector> or page:<n>.`;
+    }
+    
+    const collectLinks = (roots) => {
+      const anchors = new Set();
+      for (const root of roots || [document]) {
+        if (root.matches && root.matches('a[href], area[href]')) anchors.add(root);
+        root.querySelectorAll('a[href], area[href]').forEach(a => anchors.add(a));
+      }
+      
+      const seen = new Map();
+      for (const a of anchors) {
+        const href = a.href;
+        if (!href || /^javascript:/i.test(href)) continue;
+        // Image links have no text of their own, so fall back to labels and alt text
+        const img = a.querySelector('img[alt]');
+        const text = ((a.innerText || '').trim()
+          || a.getAttribute('aria-label')
+          || (img && img.alt)
+          || a.getAttribute('title')
+          || a.getAttribute('alt')
+          || '').replace(/\s+/g, ' ').trim();
+        const existing = seen.get(href);
+        if (!existing) {
+          seen.set(href, { text, href });
+        } else if (!existing.text && text) {
+          existing.text = text;
+        }
+      }
+      return Array.from(seen.values());
+    };
+    
+    let links;
+    if (container) {
+      const locator = this.page.locator(await this.resolveTarget(container));
+      if (await locator.count() === 0) {
+        return `ERROR: No element matches ${container}`;
+      }
+      links = await locator.evaluateAll(collectLinks);
+    } else {
+      links = await this.page.evaluate(collectLinks);
+    }
+    
+    // Internal means the same host as the page, ignoring a leading www.
+    const siteHost = host => host.replace(/^www\./, '');
+    let pageHost = null;
+    try {
+      pageHost = siteHost(new URL(this.page.url()).hostname);
+    } catch {
+      // about:blank and similar have no host
+    }
+    links = links.map((link) => {
+      let internal = false;
+      try {
+        internal = siteHost(new URL(link.href).hostname) === pageHost;
+      } catch {
+        // Leave unparseable URLs external
+      }
+      return { ...link, internal };
+    });
+    
+    if (scope) links = links.filter(link => link.internal === (scope === 'internal'));
+    if (pattern) links = links.filter(link => pattern.test(link.href) || pattern.test(link.text));
+    
+    const filepath = path.join(this.config.workDir, 'links.json');
+    this.saveFile(filepath, JSON.stringify(links, null, 2));
+    
+    if (links.length === 0) {
+      return 'Found 0 links';
+    }
+    
+    const pageCount = Math.ceil(links.length / LINKS_PER_PAGE);
+    if (pageNumber > pageCount) {
+      return `ERROR: Page ${pageNumber} is past the end (${links.length} links, ${pageCount} page${pageCount === 1 ? '' : 's'})`;
+    }
+    
+    const start = (pageNumber - 1) * LINKS_PER_PAGE;
+    const shown = links.slice(start, start + LINKS_PER_PAGE);
+    const formatted = shown.map(l => `${l.text || '(no text)'}: ${l.href}`).join('\n');
+    
+    let header = `Found ${links.length} links`;
+    let footer = '';
+    if (pageCount > 1) {
+      header += ` (showing ${start + 1}-${start + shown.length}, page ${pageNumber} of ${pageCount})`;
+      if (pageNumber < pageCount) {
+        const filter = args.substring(0, args.length - (pageMatch ? pageMatch[0].length : 0));
+        footer = `\n\nMore: links:${filter ? `${filter}:` : ''}page:${pageNumber + 1}`;
+      }
+    }
+    return `${header} - full list in ${filepath}:\n${formatted}${footer}`;
+  }
+
+  /**
+   * Track every page opened in a browser context (new tabs, popups,
+   * target=_blank links and window.open)
+   */
+  trackContext(context) {
+    this.network.attach(context);
+    context.pages().forEach(page => this.attachPageListeners(page));
+    
+    context.on('page', (page) => {
+      this.attachPageListeners(page);
+      this.newTabs.push(page);
+      this.logRedacted(`🗂️  New tab opened: ${page.url()}`);
+    });
+  }
+
+  /**
+   * Hook page events the pilot tracks
+   */
+  attachPageListeners(page) {
+    if (this.trackedPages.has(page)) return;
+    this.trackedPages.add(page);
+    
+    page.on('close', () => {
+      // If the active tab closes (e.g. a popup calling window.close), fall back to the last open tab
+      if (page === this.page) {
+        const pages = this.context.pages();
+        this.page = pages.length ? pages[pages.length - 1] : null;
+      }
+      this.pendingDialogs = this.pendingDialogs.filter(entry => entry.page !== page);
+    });
+    
+    page.on('framenavigated', (frame) => {
+      if (frame === page.mainFrame()) {
+        this.checkNavigation(page, frame.url());
+      }
+    });
+    
+    page.on('download', download => this.handleDownload(download));
+    
+    page.on('dialog', dialog => this.handleDialog(dialog, page));
+    
+    page.on('console', (message) => {
+      const location = message.location();
+      this.addConsoleEntry(message.type(), message.text(), location && location.url
+        ? `${location.url}:${location.lineNumber + 1}`
+        : null);
+    });
+    
+    page.on('pageerror', (error) => {
+      this.addConsoleEntry('pageerror', error.stack || error.message, null);
+    });
+    
+    page.on('requestfailed', (request) => {
+      const errorText = request.failure() ? request.failure().errorText : 'failed';
+      // Requests stopped by our own block: rules are not page errors
+      if (errorText.includes('ERR_BLOCKED_BY_CLIENT') || errorText === 'blockedbyclient') return;
+      this.addConsoleEntry('requestfailed', `${request.method()} ${request.url()} - ${errorText}`, null);
+    });
+    
+    page.on('response', (response) => {
+      const type = response.request().resourceType();
+      if (response.status() >= 400 && ['document', 'fetch', 'xhr'].includes(type)) {
+        this.addConsoleEntry('requestfailed', `${response.request().method()} ${response.url()} - HTTP ${response.status()}`, null);
+      }
+    });
+  }
+
+  /**
+   * Apply the dialog policy to a JavaScript dialog (alert, confirm, prompt,
+   * beforeunload) and remember its message for the command's result
+   */
+  async handleDialog(dialog, page) {
+    const entry = {
+      type: dialog.type(),
+      message: dialog.message(),
+      defaultValue: dialog.defaultValue(),
+      status: 'pending',
+      time: new Date().toISOString(),
+      dialog,
+      page
+    };
+    
+    this.dialogs.push(entry);
+    if (this.dialogs.length > 20) this.dialogs.shift();
+    this.newDialogs.push(entry);
+    this.logRedacted(`💬 ${entry.type} dialog: ${entry.message}`);
+    
+    if (this.config.dialogPolicy === 'queue') {
+      this.pendingDialogs.push(entry);
+    } else {
+      await this.respondToDialog(entry, this.config.dialogPolicy === 'accept');
+    }
+    
+    this.emit('dialog', { type: entry.type, message: entry.message, status: entry.status });
+  }
+
+  /**
+   * Accept (optionally with prompt text) or dismiss a dialog
+   */
+  async respondToDialog(entry, accept, text) {
+    try {
+      if (accept) {
+        await entry.dialog.accept(text !== undefined ? text : entry.defaultValue);
+      } else {
+        await entry.dialog.dismiss();
+      }
+      entry.status = accept ? 'accepted' : 'dismissed';
+    } catch (err) {
+      // The dialog may already be gone (page closed or navigated)
+      entry.status = 'closed';
+    }
+    this.pendingDialogs = this.pendingDialogs.filter(pending => pending !== entry);
+  }
+
+  /**
+   * Handle dialog commands:
+   *   dialog                    Show the pending dialog (and recent ones)
+   *   dialog:accept[:<text>]    Accept, with text for prompt() dialogs
+   *   dialog:dismiss            Dismiss
+   *   dialog:policy:<policy>    Change the policy (accept, dismiss, queue)
+   */
+  async dialogCommand(args) {
+    const [action, value] = WebPilot.splitTarget(args);
+    
+    if (!action) {
+      const lines = [`Dialog policy: ${this.config.dialogPolicy}`];
+      const pending = this.getBlockingDialog() || this.pendingDialogs[0];
+      lines.push(pending
+        ? `Pending ${pending.type} dialog: "${pending.message}"${pending.type === 'prompt' ? ` (default: "${pending.defaultValue}")` : ''}`
+        : 'No dialog is waiting');
+      const handled = this.dialogs.filter(entry => entry.status !== 'pending').slice(-5);
+      if (handled.length) {
+        lines.push('Recent dialogs:');
+        handled.forEach(entry => lines.push(`  (${entry.type}) "${entry.message}" -> ${entry.status}`));
+      }
+      return lines.join('\n');
+    }
+    
+    if (action.toLowerCase() === 'policy') {
+      const policy = value.toLowerCase();
+      if (!DIALOG_POLICIES.includes(policy)) {
+        return `ERROR: Unknown dialog policy: ${value}. Use ${DIALOG_POLICIES.join(', ')}.`;
+      }
+      this.config.dialogPolicy = policy;
+      return `Dialog policy: ${policy}`;
+    }
+    
+    if (action.toLowerCase() !== 'accept' && action.toLowerCase() !== 'dismiss') {
+      return `ERROR: Unknown dialog action: ${action}. Use dialog:accept[:text], dialog:dismiss or dialog:policy:<policy>.`;
+    }
+    
+    const entry = this.getBlockingDialog() || this.pendingDialogs[0];
+    if (!entry) {
+      return 'ERROR: No dialog is waiting';
+    }
+    
+    const accept = action.toLowerCase() === 'accept';
+    // Only pass text when given, so prompts otherwise keep their default value
+    const separator = args.indexOf(':');
+    await this.respondToDialog(entry, accept, accept && separator !== -1 ? args.substring(separator + 1) : undefined);
+    return `${accept ? 'Accepted' : 'Dismissed'} ${entry.type} dialog: "${entry.message}"`;
+  }
+
+  /**
+   * Check a command against the safety policy. Returns null if it may run,
+   * otherwise the reason it is blocked.
+   */
+  async checkPolicy(command) {
+    const cmd = command.toLowerCase();
+    
+    if (!this.policy.execute) {
+      if (cmd.startsWith('execute:')) return 'execute: is disabled';
+      if (command.startsWith('waitfor:') && WebPilot.parseWaitFor(command.substring(8)).kind === 'js') {
+        return 'waitfor:js: is disabled (it runs JavaScript)';
+      }
+    }
+    
+    if (command.startsWith('goto:') || command.startsWith('newtab:')) {
+      const url = command.substring(command.indexOf(':') + 1).trim();
+      return url ? this.policy.checkUrl(url) : null;
+    }
+    
+    let activation;
+    if (command.startsWith('click:')) {
+      activation = await this.describeClick(command.substring(6).trim());
+    } else if (command.startsWith('typeslow:') && WebPilot.submitsWithEnter(command)) {
+      // The newline is typed into the target, not whatever has focus now
+      const selector = WebPilot.splitTarget(command.substring(9))[0];
+      const target = WebPilot.isRef(selector) ? WebPilot.toRefSelector(selector) : selector;
+      activation = await this.page.locator(target).first()
+        .evaluate(describeActivation, 'Enter', { timeout: 5000 }).catch(() => null);
+    } else if (WebPilot.submitsWithEnter(command)) {
+      activation = await this.describeFocused('Enter');
+    } else if (WebPilot.activatesWithSpace(command)) {
+      activation = await this.describeFocused('Space');
+    } else {
+      return null;
+    }
+    
+    return this.checkActivation(activation, command);
+  }
+  
+  /**
+   * Check what activating an element would do (from describeActivation)
+   * against the policy's confirmations. Returns null if it may go ahead,
+   * otherwise the reason it is held back. An activation that couldn't be
+   * described (null) is held back whenever anything needs confirmation.
+   */
+  checkActivation(activation, fallbackLabel) {
+    if (activation === null) {
+      if (!this.policy.confirm.length) return null;
+      return `could not check what ${fallbackLabel} would do (its target was not found), so it is held back - retry once the target is on the page`;
+    }
+    
+    const category = Policy.classifyAction(activation);
+    if (!this.policy.requiresConfirmation(category)) return null;
+    
+    const label = activation.text ? `"${activation.text}"` : fallbackLabel;
+    if (this.useConfirmation()) {
+      this.logRedacted(`🛡️  Confirmed ${category} action: ${label}`);
+      return null;
+    }
+    
+    const how = [`create ${this.policy.confirmFile}`];
+    if (this.policy.confirmToken) how.push('send confirm:<token>');
+    return `${label} looks like a ${category} action and needs the user's confirmation (ask them to ${how.join(' or ')}), then retry`;
+  }
+  
+  /**
+   * Whether a command presses Enter on the focused element: press: with
+   * Enter or NumpadEnter as the key (alone or in a combo), or typeslow: with
+   * a newline in the text
+   */
+  static submitsWithEnter(command) {
+    if (command.startsWith('press:')) {
+      return WebPilot.pressedKeys(command).some(key => key === 'enter' || key === 'numpadenter');
+    }
+    if (command.startsWith('typeslow:')) {
+      return /[\r\n]/.test(WebPilot.splitTarget(command.substring(9))[1]);
+    }
+    return false;
+  }
+  
+  /**
+   * Whether a command presses Space, which activates the focused button
+   */
+  static activatesWithSpace(command) {
+    return command.startsWith('press:') && WebPilot.pressedKeys(command).includes('space');
+  }
+  
+  /**
+   * Lower-case key names of a press: command ("press:Control+Enter")
+   */
+  static pressedKeys(command) {
+    return command.substring(6).trim().split('+').map(key => key.trim().toLowerCase());
+  }
+  
+  /**
+   * What pressing a key on the focused element would do - or null if the
+   * page can't be asked
+   */
+  async describeFocused(key) {
+    try {
+      const focused = await this.page.evaluateHandle(() => document.activeElement);
+      return await focused.evaluate(describeActivation, key);
+    } catch {
+      return null;
+    }
+  }
+  
+  /**
+   * What clicking a target would do, resolving it the way clickElement does
+   * (ref, then CSS, then text) - or null if it can't be found
+   */
+  async describeClick(selector) {
+    let locator;
+    if (WebPilot.isRef(selector)) {
+      locator = this.page.locator(WebPilot.toRefSelector(selector));
+    } else {
+      locator = this.page.locator(selector);
+      const found = await locator.count().catch(() => 0);
+      if (!found) locator = this.page.locator(`text=${selector}`);
+    }
+    return await locator.first().evaluate(describeActivation, undefined, { timeout: 5000 }).catch(() => null);
+  }
+  
+  /**
+   * Use up a confirmation, from confirm:<token> or the confirmation file.
+   * A file created in the same poll as the command doesn't count: the user
+   * confirms an action they were asked about, so it must predate the batch.
+   */
+  useConfirmation() {
+    if (this.confirmed) {
+      this.confirmed = false;
+      return true;
+    }
+    
+    const confirmPath = this.policy.confirmFile;
+    let stats;
+    try {
+      stats = fs.statSync(confirmPath);
+    } catch {
+      return false;
+    }
+    if (stats.mtimeMs > (this.batchReceivedAt || Date.now()) - this.config.pollInterval) {
+      console.log(`🛡️  Ignoring ${confirmPath}: it appeared together with the command`);
+      return false;
+    }
+    try {
+      fs.unlinkSync(confirmPath); // One file, one action
+    } catch {
+      // Still confirmed; the file may have been removed already
+    }
+    return true;
+  }
+  
+  /**
+   * Let the next submit/purchase/delete action through (confirm:<token>)
+   */
+  confirmAction(token) {
+    if (!this.policy || !this.policy.confirmToken) {
+      return 'ERROR: confirm: needs a policy with a confirmToken';
+    }
+    if (token !== this.policy.confirmToken) {
+      return 'ERROR: Wrong confirmation token';
+    }
+    this.confirmed = true;
+    return 'Confirmed: the next submit, purchase or delete action will run';
+  }
+  
+  /**
+   * Abort top-level navigations (links, redirects, window.open, form posts)
+   * to URLs the policy doesn't allow
+   */
+  async enforceNavigationPolicy(context) {
+    await context.route('**/*', (route) => {
+      const request = route.request();
+      let reason = null;
+      try {
+        if (request.isNavigationRequest() && !request.frame().parentFrame()) {
+          reason = this.policy.checkUrl(request.url());
+        }
+      } catch {
+        // Service worker requests have no frame
+      }
+      
+      if (!reason) return route.fallback();
+      this.newViolations.push(reason);
+      this.logRedacted(`🛡️  Blocked by policy: ${reason}`);
+      return route.abort('blockedbyclient');
+    });
+  }
+  
+  /**
+   * Backstop for navigations the route can't see (mocked responses,
+   * history, cached redirects): leave a page that lands somewhere not allowed
+   */
+  checkNavigation(page, url) {
+    const reason = this.policy ? this.policy.checkUrl(url) : null;
+    if (!reason) return;
+    
+    this.newViolations.push(reason);
+    this.logRedacted(`🛡️  Blocked by policy: ${reason}`);
+    page.goto('about:blank').catch(() => {});
+  }
+
+  /**
+   * Save a download into <workDir>/downloads under its suggested name
+   */
+  handleDownload(download) {
+    const entry = {
+      id: this.downloads.length + 1,
+      filename: download.suggestedFilename(),
+      path: null,
+      url: download.url(),
+      size: null,
+      status: 'downloading',
+      error: null,
+      reported: false
+    };
+    this.downloads.push(entry);
+    this.newDownloads.push(entry);
+    this.logRedacted(`⬇️  Download started: ${entry.filename}`);
+    
+    entry.done = (async () => {
+      const dir = path.join(this.config.workDir, 'downloads');
+      fs.mkdirSync(dir, { recursive: true });
+      entry.path = WebPilot.getUniquePath(dir, entry.filename);
+      await download.saveAs(entry.path);
+      entry.size = fs.statSync(entry.path).size;
+      entry.status = 'complete';
+      this.logRedacted(`✅ Download saved: ${entry.path}`);
+    })().catch((err) => {
+      entry.status = 'failed';
+      entry.error = err.message;
+      this.logRedacted(`⚠️  Download failed: ${entry.filename}: ${err.message}`);
+      if (entry.path) {
+        // Free the name reserved for it
+        fs.rm(entry.path, { force: true }, () => {});
+      }
+    });
+  }
+
+  /**
+   * A path in dir for filename that doesn't overwrite an existing file
+   * ("report.pdf", then "report (1).pdf", ...). The file is created empty,
+   * so downloads finishing at the same time can't pick the same name.
+   */
+  static getUniquePath(dir, filename) {
+    const safeName = path.basename(filename).replace(/[<>:"/\\|?*\x00-\x1f]/g, '_') || 'download';
+    const ext = path.extname(safeName);
+    const base = safeName.substring(0, safeName.length - ext.length);
+    
+    for (let n = 0; ; n++) {
+      const candidate = path.join(dir, n === 0 ? safeName : `${base} (${n})${ext}`);
+      try {
+        fs.closeSync(fs.openSync(candidate, 'wx'));
+        return candidate;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+    }
+  }
+
+  /**
+   * One-line description of a download
+   */
+  static describeDownload(entry) {
+    if (entry.status === 'complete') {
+      return `${entry.filename} (${NetworkMonitor.formatSize(entry.size)}) -> ${entry.path}`;
+    }
+    if (entry.status === 'failed') {
+      return `${entry.filename} FAILED: ${entry.error}`;
+    }
+    return `${entry.filename} (downloading...)`;
+  }
+
+  /**
+   * List downloads from this session
+   */
+  listDownloads() {
+    if (this.downloads.length === 0) {
+      return 'No downloads yet';
+    }
+    const lines = this.downloads.map(entry => `[${entry.id}] ${WebPilot.describeDownload(entry)}\n    from ${entry.url}`);
+    return `Downloads (${this.downloads.length}):\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Add an entry to the console buffer, dropping the oldest past the limit
+   */
+  addConsoleEntry(type, text, location) {
+    this.consoleLog.push({
+      seq: ++this.consoleSeq,
+      time: new Date().toISOString(),
+      type,
+      text,
+      location
+    });
+    if (this.consoleLog.length > this.config.maxConsoleEntries) {
+      this.consoleLog.shift();
+    }
+  }
+
+  /**
+   * Whether a console entry signals a problem
+   */
+  static isConsoleError(entry) {
+    return entry.type === 'error' || entry.type === 'pageerror' || entry.type === 'requestfailed';
+  }
+
+  /**
+   * Format a console entry as one line (page error stacks are cut to the message)
+   */
+  static formatConsoleEntry(entry) {
+    const text = entry.type === 'pageerror' ? entry.text.split('\n')[0] : entry.text;
+    return `[${entry.type}] ${text}${entry.location ? ` (${entry.location})` : ''}`;
+  }
+
+  /**
+   * Show console entries since the last call ("console") or all buffered
+   * entries ("console:all")
+   */
+  showConsole(args) {
+    const all = args.toLowerCase() === 'all';
+    const entries = all
+      ? this.consoleLog
+      : this.consoleLog.filter(entry => entry.seq > this.consoleReadSeq);
+    this.consoleReadSeq = this.consoleSeq;
+    
+    if (entries.length === 0) {
+      return all ? 'Console is empty' : 'No new console entries';
+    }
+    
+    const errors = entries.filter(WebPilot.isConsoleError).length;
+    const lines = entries.map(entry => WebPilot.formatConsoleEntry(entry));
+    return `${entries.length} ${all ? '' : 'new '}console entries (${errors} errors):\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Build an accessibility-style snapshot of the page's interactive elements.
+   * Each element is tagged with a numbered ref (data-pilot-ref) that stays the
+   * same across snapshots of the same document, so "click:@12" can target it.
+   */
+  async takeSnapshot() {
+    const snapshot = await this.page.evaluate((refCounter) => {
+      const INTERACTIVE_ROLES = new Set([
+        'button', 'link', 'textbox', 'searchbox', 'checkbox', 'radio', 'combobox',
+        'listbox', 'option', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'switch',
+        'tab', 'slider', 'spinbutton', 'treeitem'
+      ]);
+      const LANDMARK_ROLES = new Set([
+        'banner', 'navigation', 'main', 'complementary', 'contentinfo', 'form',
+        'search', 'dialog', 'alertdialog', 'region'
+      ]);
+      const LANDMARK_TAGS = {
+        HEADER: 'banner', NAV: 'navigation', MAIN: 'main', ASIDE: 'complementary',
+        FOOTER: 'contentinfo', FORM: 'form', DIALOG: 'dialog'
+      };
+      const INPUT_ROLES = {
+        button: 'button', submit: 'button', reset: 'button', image: 'button',
+        checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton',
+        search: 'searchbox'
+      };
+
+      const clean = (text, max = 80) => {
+        const value = (text || '').replace(/\s+/g, ' ').trim();
+        return value.length > max ? value.substring(0, max - 1) + '…' : value;
+      };
+
+      const getRole = (el) => {
+        const explicit = el.getAttribute('role');
+        if (explicit) return explicit.split(' ')[0];
+        switch (el.tagName) {
+          case 'A': return el.hasAttribute('href') ? 'link' : null;
+          case 'BUTTON': case 'SUMMARY': return 'button';
+          case 'SELECT': return el.multiple ? 'listbox' : 'combobox';
+          case 'TEXTAREA': return 'textbox';
+          case 'INPUT': {
+            const type = (el.getAttribute('type') || 'text').toLowerCase();
+            if (type === 'hidden') return null;
+            return INPUT_ROLES[type] || 'textbox';
+          }
+          case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': return 'heading';
+          default:
+            if (LANDMARK_TAGS[el.tagName]) return LANDMARK_TAGS[el.tagName];
+            if (el.isContentEditable && el.getAttribute('contenteditable') !== null) return 'textbox';
+            return null;
+        }
+      };
+
+      const getName = (el) => {
+        const labelledBy = el.getAttribute('aria-labelledby');
+        if (labelledBy) {
+          const text = labelledBy.split(/\s+/)
+            .map(id => document.getElementById(id)?.innerText || '')
+            .join(' ');
+          if (clean(text)) return clean(text);
+        }
+        if (el.getAttribute('aria-label')) return clean(el.getAttribute('aria-label'));
+        if (el.labels && el.labels.length) return clean(el.labels[0].innerText);
+        if (el.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(el.type)) return clean(el.value);
+        if (el.getAttribute('alt')) return clean(el.getAttribute('alt'));
+        const text = clean(el.innerText);
+        if (text) return text;
+        const img = el.querySelector && el.querySelector('img[alt]');
+        if (img) return clean(img.getAttribute('alt'));
+        return clean(el.getAttribute('placeholder') || el.getAttribute('title') || '');
+      };
+
+      const isVisible = (el) => {
+        if (!el.getClientRects().length) return false;
+        const style = getComputedStyle(el);
+        return style.visibility !== 'hidden' && style.display !== 'none';
+      };
+
+      const describeState = (el, role) => {
+        const states = [];
+        if (el.disabled || el.getAttribute('aria-disabled') === 'true') states.push('disabled');
+        if (role === 'checkbox' || role === 'radio' || role === 'switch') {
+          const checked = el.checked ?? el.getAttribute('aria-checked') === 'true';
+          states.push(checked ? 'checked' : 'unchecked');
+        }
+        if (el.getAttribute('aria-expanded')) states.push(el.getAttribute('aria-expanded') === 'true' ? 'expanded' : 'collapsed');
+        if (el.tagName === 'SELECT' && el.selectedOptions.length) {
+          states.push(`selected="${clean(el.selectedOptions[0].text, 40)}"`);
+        } else if ((role === 'textbox' || role === 'searchbox' || role === 'spinbutton') && el.type !== 'password' && el.value) {
+          states.push(`value="${clean(el.value, 40)}"`);
+        }
+        if (el.type === 'password') states.push('password');
+        return states.length ? ' ' + states.join(' ') : '';
+      };
+
+      // Numbering continues from the session's last ref, so a new document
+      // (or another tab) never reuses an old ref
+      let lastRef = refCounter;
+      const lines = [];
+      const elements = [];
+
+      const walk = (root, depth) => {
+        for (const el of root.children) {
+          // display:contents elements have no box of their own, but their children do
+          if (getComputedStyle(el).display === 'contents') {
+            walk(el, depth);
+            continue;
+          }
+          if (!isVisible(el)) continue;
+
+          const role = getRole(el);
+          const focusable = el.hasAttribute('onclick') || (el.tabIndex >= 0 && el.hasAttribute('tabindex'));
+          const indent = '  '.repeat(depth);
+          let childDepth = depth;
+
+          if (role ? INTERACTIVE_ROLES.has(role) : focusable) {
+            let ref = el.getAttribute('data-pilot-ref');
+            if (!ref) {
+              ref = String(++lastRef);
+              el.setAttribute('data-pilot-ref', ref);
+            }
+            const name = getName(el);
+            lines.push(`${indent}[${ref}] ${role || 'clickable'}${name ? ` "${name}"` : ''}${describeState(el, role)}`);
+            elements.push({ ref, role, name: name.replace(/…$/, '') });
+            // Names already include the text of links and buttons
+            if (!role || role === 'link' || role === 'button' || role === 'option') continue;
+          } else if (role === 'heading') {
+            lines.push(`${indent}heading "${clean(el.innerText)}" (${el.tagName.toLowerCase()})`);
+            continue;
+          } else if (role && LANDMARK_ROLES.has(role)) {
+            const name = clean(el.getAttribute('aria-label') || '');
+            lines.push(`${indent}${role}${name ? ` "${name}"` : ''}`);
+            childDepth = depth + 1;
+          }
+
+          walk(el, childDepth);
+          if (el.shadowRoot) walk(el.shadowRoot, childDepth);
+        }
+      };
+
+      walk(document.body, 0);
+      return { lines, elements, lastRef };
+    }, this.refCounter);
+    
+    this.refCounter = Math.max(this.refCounter, snapshot.lastRef);
+    this.snapshotPage = this.page;
+    this.refInfo = new Map(snapshot.elements.map(element => [element.ref, element]));
+    
+    const header = `Snapshot of ${this.page.url()} - ${snapshot.elements.length} interactive elements`;
+    const text = `${header}\n\n${snapshot.lines.join('\n')}`;
+    const filepath = path.join(this.config.workDir, 'snapshot.txt');
+    this.saveFile(filepath, text);
+    return `${text}\n\nTarget elements by ref: click:@<ref>, type:@<ref>:<text>`;
+  }
+
+  /**
+   * Check whether a selector is a snapshot ref (e.g. "@12"), or an
+   * annotated-screenshot label for one ("#12")
+   */
+  static isRef(selector) {
+    return /^[@#]\d+$/.test(selector.trim());
+  }
+
+  /**
+   * Selector for the element tagged with a snapshot ref
+   */
+  static toRefSelector(ref) {
+    return `[data-pilot-ref="${ref.trim().substring(1)}"]`;
+  }
+
+  /**
+   * Resolve a selector for an action. Snapshot refs ("@12") become a
+   * locator for the tagged element; anything else is returned unchanged.
+   */
+  async resolveTarget(selector) {
+    const target = selector.trim();
+    if (!WebPilot.isRef(target)) {
+      this.resolvedTargets.push({ original: target, resolved: target });
+      return target;
+    }
+    
+    // Only refs from the active tab's snapshots are trusted. Refs are tags on
+    // the elements and never reused, so they survive same-document changes
+    // (pushState, hash links) but not a new document.
+    let reason = null;
+    if (this.snapshotPage !== this.page) {
+      reason = 'it is not from a snapshot of this tab';
+    }
+    
+    const refSelector = WebPilot.toRefSelector(target);
+    if (!reason && await this.page.locator(refSelector).count() === 0) {
+      reason = 'the element is no longer on the page, or the page navigated';
+    }
+    if (reason) {
+      throw new Error(`Ref ${target} not found (${reason}). Run "snapshot" to get fresh refs.`);
+    }
+    
+    this.resolvedTargets.push({ original: target, resolved: await this.getStableSelector(target) });
+    return refSelector;
+  }
+
+  /**
+   * Find a selector for a ref'd element that will still match when the page
+   * is loaded again (refs only exist until the next navigation). Prefers a
+   * unique id, test id or field name, then the role and accessible name from
+   * the snapshot, then the element's position in the document.
+   */
+  async getStableSelector(ref) {
+    const found = await this.page.locator(WebPilot.toRefSelector(ref)).first().evaluate((el) => {
+      const isUnique = (selector) => {
+        try {
+          return document.querySelectorAll(selector).length === 1;
+        } catch {
+          return false;
+        }
+      };
+      const quote = (value) => JSON.stringify(value);
+      const tag = el.tagName.toLowerCase();
+      
+      // Skip ids that look generated (long digit runs, framework prefixes)
+      const stableId = target => target.id && !/\d{3,}|^:|^(ember|react|mui|radix)/i.test(target.id)
+        && isUnique(`#${CSS.escape(target.id)}`);
+      
+      // Last resort: a path of tags from the nearest ancestor with a stable id
+      const pathParts = [];
+      for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+        if (node !== el && stableId(node)) {
+          pathParts.unshift(`#${CSS.escape(node.id)}`);
+          break;
+        }
+        const sameTag = Array.from(node.parentElement ? node.parentElement.children : [])
+          .filter(sibling => sibling.tagName === node.tagName);
+        const position = sameTag.length > 1 ? `:nth-of-type(${sameTag.indexOf(node) + 1})` : '';
+        pathParts.unshift(`${node.tagName.toLowerCase()}${position}`);
+      }
+      const cssPath = pathParts.join(' > ');
+      
+      if (stableId(el)) {
+        return { attribute: `#${CSS.escape(el.id)}`, cssPath };
+      }
+      for (const attr of ['data-testid', 'data-test', 'data-qa', 'data-cy']) {
+        const value = el.getAttribute(attr);
+        if (value && isUnique(`[${attr}=${quote(value)}]`)) return { attribute: `[${attr}=${quote(value)}]`, cssPath };
+      }
+      const name = el.getAttribute('name');
+      if (name && isUnique(`${tag}[name=${quote(name)}]`)) {
+        return { attribute: `${tag}[name=${quote(name)}]`, cssPath };
+      }
+      return { attribute: null, cssPath: isUnique(cssPath) ? cssPath : null };
+    }, undefined, { timeout: 5000 }).catch(() => null);
+    
+    if (found && found.attribute) return found.attribute;
+    
+    const info = this.refInfo.get(ref.trim().substring(1));
+    if (info && info.role && info.name) {
+      return `role=${info.role}[name=${JSON.stringify(info.name)}]`;
+    }
+    if (info && info.name) {
+      return `text=${JSON.stringify(info.name)}`;
+    }
+    if (found && found.cssPath) {
+      return found.cssPath;
+    }
+    
+    // Nothing stable found; the ref selector only works in this session
+    return WebPilot.toRefSelector(ref);
+  }
+
+  /**
+   * Make sure there is an active tab. If the last one was closed (by the
+   * page or by hand), open a blank one. Returns an error if there is no
+   * browser left to open it in.
+   */
+  async ensurePage() {
+    if (this.page && !this.page.isClosed()) return null;
+    
+    const pages = this.context ? this.context.pages() : [];
+    if (pages.length) {
+      this.page = pages[pages.length - 1];
+      return null;
+    }
+    
+    try {
+      this.page = await this.context.newPage();
+    } catch {
+      return 'ERROR: No open tab, and no new one can be opened (the browser was closed). Restart web-pilot.';
+    }
+    this.newTabs = this.newTabs.filter(page => page !== this.page);
+    console.log('📄 The last tab was closed - opened a blank one');
+    return null;
+  }
+
+  /**
+   * List open tabs, marking the active one
+   */
+  async listTabs() {
+    const pages = this.context.pages();
+    const lines = [];
+    for (const [index, page] of pages.entries()) {
+      const title = await page.title().catch(() => '');
+      const marker = page === this.page ? '*' : ' ';
+      lines.push(`${marker} [${index + 1}] ${title || '(untitled)'} - ${page.url()}`);
+    }
+    return `${pages.length} tab(s) open (* = active):\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Open a new tab, optionally navigating it to a URL, and make it active
+   */
+  async openTab(url) {
+    const page = await this.context.newPage();
+    // Opened on purpose, so don't report it as a side effect
+    this.newTabs = this.newTabs.filter(p => p !== page);
+    this.page = page;
+    
+    if (url) {
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: this.config.timeout });
+    }
+    
+    const index = this.context.pages().indexOf(page) + 1;
+    return `Opened tab [${index}]: ${page.url()}`;
+  }
+
+  /**
+   * Get a tab by its 1-based number
+   */
+  getTab(n) {
+    const pages = this.context.pages();
+    const index = parseInt(n);
+    if (!Number.isInteger(index) || index < 1 || index > pages.length) {
+      throw new Error(`No tab ${n} - there are ${pages.length} tab(s) open (see tabs)`);
+    }
+    return pages[index - 1];
+  }
+
+  /**
+   * Make a tab the active one
+   */
+  async switchTab(n) {
+    const page = this.getTab(n);
+    this.page = page;
+    await page.bringToFront();
+    return `Switched to tab [${parseInt(n)}]: ${page.url()}`;
+  }
+
+  /**
+   * Close a tab (the active tab if no number is given)
+   */
+  async closeTab(n) {
+    const page = n ? this.getTab(n) : this.page;
+    const url = page.url();
+    const wasActive = page === this.page;
+    
+    await page.close();
+    
+    if (this.context.pages().length === 0) {
+      this.page = await this.context.newPage();
+      this.newTabs = [];
+    } else if (wasActive) {
+      const pages = this.context.pages();
+      this.page = pages[pages.length - 1];
+      await this.page.bringToFront();
+    }
+    
+    const active = this.context.pages().indexOf(this.page) + 1;
+    return `Closed tab: ${url}\nActive tab [${active}]: ${this.page.url()}`;
+  }
+
+  /**
+   * Wait for a condition instead of a fixed time.
+   *
+   *   selector:<sel>[:visible|hidden|attached|detached]
+   *   text:<text>
+   *   url:<glob>
+   *   networkidle
+   *   js:<expression>
+   *
+   * An optional leading "<n>s:" overrides the timeout, e.g. "10s:text:Done".
+   * On timeout the result describes the current page state.
+   */
+  async waitFor(args) {
+    const parsed = WebPilot.parseWaitFor(args);
+    const timeout = parsed.timeout === null ? this.config.timeout : parsed.timeout;
+    const { kind, value } = parsed;
+    const startedAt = Date.now();
+    
+    let description;
+    let selector = null;
+    
+    try {
+      switch (kind) {
+        case 'selector': {
+          let state = 'visible';
+          selector = value;
+          const stateMatch = value.match(/:(visible|hidden|attached|detached)$/i);
+          if (stateMatch) {
+            state = stateMatch[1].toLowerCase();
+            selector = value.substring(0, value.length - stateMatch[0].length);
+          }
+          if (!selector) return 'ERROR: waitfor:selector requires a selector';
+          description = `selector "${selector}" to be ${state}`;
+          // Refs are not checked up front: waiting for one to disappear is valid
+          const target = WebPilot.isRef(selector) ? WebPilot.toRefSelector(selector) : selector;
+          if (WebPilot.isRef(selector) && await this.page.locator(target).count()) {
+            // Record a selector for the element, for export
+            this.resolvedTargets.push({ original: selector.trim(), resolved: await this.getStableSelector(selector) });
+          }
+          await this.page.waitForSelector(target, { state, timeout });
+          break;
+        }
+        
+        case 'text':
+          if (!value) return 'ERROR: waitfor:text requires some text';
+          description = `text "${value}"`;
+          await this.page.getByText(value).first().waitFor({ state: 'visible', timeout });
+          break;
+        
+        case 'url':
+          if (!value) return 'ERROR: waitfor:url requires a URL or glob';
+          description = `URL matching "${value}"`;
+          await this.page.waitForURL(value, { timeout, waitUntil: 'commit' });
+          break;
+        
+        case 'networkidle':
+          description = 'network to be idle';
+          await this.page.waitForLoadState('networkidle', { timeout });
+          break;
+        
+        case 'js':
+          if (!value) return 'ERROR: waitfor:js requires an expression';
+          description = `expression \`${value}\` to be truthy`;
+          await this.page.waitForFunction(value, null, { timeout });
+          break;
+        
+        default:
+          return `ERROR: Unknown waitfor condition: ${kind || '(none)'}. Use selector, text, url, networkidle or js.`;
+      }
+    } catch (err) {
+      if (err.name !== 'TimeoutError') throw err;
+      const state = await this.describePageState(selector);
+      return `ERROR: Timed out after ${timeout / 1000}s waiting for ${description}\n\n${state}`;
+    }
+    
+    const elapsed = ((Date.now() - startedAt) / 1000).toFixed(1);
+    return `Waited ${elapsed}s for ${description}`;
+  }
+
+  /**
+   * Parse waitfor arguments, "[<n>s:]<kind>[:<value>]", into
+   * { timeout (ms, or null for the default), kind, value }
+   */
+  static parseWaitFor(args) {
+    let rest = args.trim();
+    let timeout = null;
+    
+    const timeoutMatch = rest.match(/^(\d+(?:\.\d+)?)\s*s\s*:/i);
+    if (timeoutMatch) {
+      timeout = parseFloat(timeoutMatch[1]) * 1000;
+      rest = rest.substring(timeoutMatch[0].length);
+    }
+    
+    const separator = rest.indexOf(':');
+    const kind = (separator === -1 ? rest : rest.substring(0, separator)).trim().toLowerCase();
+    const value = separator === -1 ? '' : rest.substring(separator + 1).trim();
+    return { timeout, kind, value };
+  }
+
+  /**
+   * Summarize the page for timeout errors, so the caller can see why a
+   * condition never became true
+   */
+  async describePageState(selector = null) {
+    const lines = ['Page state:'];
+    
+    try {
+      lines.push(`  URL: ${this.page.url()}`);
+      lines.push(`  Title: ${await this.page.title()}`);
+      
+      const state = await this.page.evaluate(() => ({
+        readyState: document.readyState,
+        text: (document.body ? document.body.innerText : '').replace(/\s+/g, ' ').trim()
+      }));
+      lines.push(`  Ready state: ${state.readyState}`);
+      
+      if (selector) {
+        const target = WebPilot.isRef(selector) ? WebPilot.toRefSelector(selector) : selector;
+        const locator = this.page.locator(target);
+        const count = await locator.count();
+        const visible = count > 0 ? await locator.first().isVisible() : false;
+        lines.push(`  Matching elements: ${count}${count > 0 ? ` (first is ${visible ? 'visible' : 'hidden'})` : ''}`);
+      }
+      
+      const preview = state.text.length > 300 ? state.text.substring(0, 300) + '…' : state.text;
+      lines.push(`  Visible text: ${preview ? `"${preview}"` : '(none)'}`);
+    } catch (err) {
+      lines.push(`  (could not read page: ${err.message})`);
+    }
+    
+    return lines.join('\n');
+  }
+
+  /**
+   * Split "<selector>:<rest>", leaving colons that belong to the selector
+   * (pseudo-classes, quoted text, attribute values) alone
+   */
+  static splitTarget(args) {
+    return splitTarget(args);
+  }
+
+  /**
+   * Type text one key at a time, firing real keydown/keypress/keyup events
+   */
+  async typeSlowly(selector, text) {
+    const locator = this.page.locator(await this.resolveTarget(selector));
+    await locator.pressSequentially(this.secrets.resolve(text), { delay: 50, timeout: this.config.timeout });
+    return `Typed "${text}" into ${selector} (key by key)`;
+  }
+
+  /**
+   * Choose an option in a <select> by value or visible label
+   */
+  async selectOption(selector, value) {
+    const selected = await this.page.selectOption(await this.resolveTarget(selector), value, { timeout: 5000 });
+    if (selected.length === 0) {
+      return `ERROR: No option matching "${value}" in ${selector}`;
+    }
+    return `Selected "${value}" in ${selector}`;
+  }
+
+  /**
+   * Check or uncheck a checkbox/radio button
+   */
+  async setChecked(selector, checked) {
+    await this.page.setChecked(await this.resolveTarget(selector), checked, { timeout: 5000 });
+    return `${checked ? 'Checked' : 'Unchecked'}: ${selector}`;
+  }
+
+  /**
+   * Press a key or key combination (e.g. "Enter", "Control+Shift+K")
+   */
+  async pressKeys(keys) {
+    if (!keys) {
+      return 'ERROR: press requires a key, e.g. press:Enter';
+    }
+    await this.page.keyboard.press(keys);
+    await this.page.waitForLoadState('domcontentloaded');
+    return `Pressed: ${keys}`;
+  }
+
+  /**
+   * Move the mouse over an element (e.g. to open a hover menu)
+   */
+  async hoverElement(selector) {
+    await this.page.hover(await this.resolveTarget(selector), { timeout: 5000 });
+    return `Hovered: ${selector}`;
+  }
+
+  /**
+   * Drag one element and drop it onto another
+   */
+  async dragElement(from, to) {
+    if (!from || !to) {
+      return 'ERROR: drag requires a source and a target, e.g. drag:#item-1:#list-2';
+    }
+    await this.page.dragAndDrop(await this.resolveTarget(from), await this.resolveTarget(to), { timeout: 5000 });
+    return `Dragged ${from} onto ${to}`;
+  }
+
+  /**
+   * Set files on a file input. Relative paths resolve against the working directory.
+   */
+  async uploadFiles(selector, files) {
+    const filepaths = files.split('|')
+      .map(file => file.trim())
+      .filter(Boolean)
+      .map(file => path.resolve(this.config.workDir, file));
+    
+    if (filepaths.length === 0) {
+      return 'ERROR: upload requires a file path, e.g. upload:input[type=file]:report.pdf';
+    }
+    
+    const missing = filepaths.filter(file => !fs.existsSync(file));
+    if (missing.length) {
+      return `ERROR: File not found: ${missing.join(', ')}`;
+    }
+    
+    await this.page.setInputFiles(await this.resolveTarget(selector), filepaths, { timeout: 5000 });
+    return `Uploaded ${filepaths.map(file => path.basename(file)).join(', ')} to ${selector}`;
+  }
+
+  /**
+   * List recent fetch/XHR requests
+   */
+  listRequests() {
+    const records = this.network.list();
+    if (records.length === 0) {
+      return 'No fetch/XHR requests captured yet';
+    }
+    const lines = records.map(record => NetworkMonitor.describe(record));
+    return `Recent fetch/XHR requests (${records.length}):\n${lines.join('\n')}\n\nUse response:<n> to see a response body.`;
+  }
+
+  /**
+   * Show (and save) the captured response body of a request
+   */
+  async showResponse(n) {
+    const record = this.network.get(parseInt(n));
+    if (!record) {
+      return `ERROR: No captured request ${n} (see requests)`;
+    }
+    const text = await this.network.getBody(record);
+    if (text === null) {
+      const reason = record.status === null && !record.failure
+        ? 'the request has not finished'
+        : 'it was not text/JSON, was too large, or is gone since the page navigated';
+      return `ERROR: No body captured for request ${n} (${reason})`;
+    }
+    
+    let body = text;
+    let extension = 'txt';
+    try {
+      body = JSON.stringify(JSON.parse(body), null, 2);
+      extension = 'json';
+    } catch {
+      // Not JSON - keep as text
+    }
+    
+    const filepath = path.join(this.config.workDir, `response-${record.id}.${extension}`);
+    this.saveFile(filepath, body);
+    return `${NetworkMonitor.describe(record)}\nSaved: ${filepath}\n\n${body}`;
+  }
+
+  /**
+   * Block requests matching a URL glob, a resource type, or known trackers
+   */
+  async blockRequests(target) {
+    if (!target) {
+      return 'ERROR: block requires a URL glob, resource type or "trackers"';
+    }
+    
+    const type = target.toLowerCase();
+    let url = target;
+    let matches = () => true;
+    
+    if (RESOURCE_TYPES.has(type)) {
+      url = '**/*';
+      matches = request => request.resourceType() === type;
+    } else if (type === 'trackers') {
+      url = '**/*';
+      matches = (request) => {
+        let hostname;
+        try {
+          hostname = new URL(request.url()).hostname;
+        } catch {
+          return false;
+        }
+        return TRACKER_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+      };
+    }
+    
+    const handler = route => (matches(route.request()) ? route.abort('blockedbyclient') : route.fallback());
+    return await this.addRoute({ type: 'block', pattern: target, url, handler });
+  }
+
+  /**
+   * Answer requests matching a URL glob with the contents of a file.
+   * The content type is inferred from the file extension.
+   */
+  async mockRequests(args) {
+    // The glob may itself contain ':' (https://...), so the file is the last
+    // segment - or the last two when it starts with a Windows drive letter
+    const driveMatch = args.match(/^(.+):([A-Za-z]:[\\/][^:]*)$/);
+    const separator = args.lastIndexOf(':');
+    const pattern = driveMatch ? driveMatch[1] : args.substring(0, separator);
+    const file = driveMatch ? driveMatch[2] : args.substring(separator + 1);
+    
+    if (separator === -1 || !pattern.trim() || !file.trim()) {
+      return 'ERROR: mock requires a URL glob and a file, e.g. mock:**/api/user:user.json';
+    }
+    
+    const filepath = path.resolve(this.config.workDir, file.trim());
+    if (!fs.existsSync(filepath)) {
+      return `ERROR: File not found: ${filepath}`;
+    }
+    
+    const handler = route => route.fulfill({ status: 200, path: filepath });
+    return await this.addRoute({ type: 'mock', pattern: pattern.trim(), url: pattern.trim(), handler, file: filepath });
+  }
+
+  /**
+   * Register a route rule on the browser context
+   */
+  async addRoute(rule) {
+    await this.context.route(rule.url, rule.handler);
+    const entry = { id: this.nextRouteId++, ...rule };
+    this.routes.push(entry);
+    return `Added rule [${entry.id}]: ${WebPilot.describeRoute(entry)}`;
+  }
+
+  /**
+   * Remove a route rule by number or pattern, or all rules
+   */
+  async removeRoutes(target) {
+    const removeAll = !target || target.toLowerCase() === 'all';
+    const removed = this.routes.filter(rule => removeAll || String(rule.id) === target || rule.pattern === target);
+    
+    if (removed.length === 0) {
+      return `ERROR: No route rule matching "${target}" (see routes)`;
+    }
+    
+    for (const rule of removed) {
+      await this.context.unroute(rule.url, rule.handler);
+    }
+    this.routes = this.routes.filter(rule => !removed.includes(rule));
+    
+    return `Removed ${removed.length} rule(s):\n${removed.map(rule => `[${rule.id}] ${WebPilot.describeRoute(rule)}`).join('\n')}`;
+  }
+
+  /**
+   * List active route rules
+   */
+  listRoutes() {
+    if (this.routes.length === 0) {
+      return 'No active route rules';
+    }
+    const lines = this.routes.map(rule => `[${rule.id}] ${WebPilot.describeRoute(rule)}`);
+    return `Active route rules (${this.routes.length}):\n${lines.join('\n')}`;
+  }
+
+  /**
+   * One-line description of a route rule
+   */
+  static describeRoute(rule) {
+    if (rule.type === 'mock') {
+      return `mock ${rule.pattern} -> ${rule.file}`;
+    }
+    return `block ${rule.pattern}`;
+  }
+
+  /**
+   * Stop recording network traffic and write a HAR file
+   */
+  saveHar() {
+    const har = this.network.stopHar();
+    if (!har) {
+      return 'ERROR: Not recording network traffic (send network:start first)';
+    }
+    const filepath = path.join(this.config.workDir, `network-${Date.now()}.har`);
+    this.saveFile(filepath, JSON.stringify(har, null, 2));
+    return `HAR saved: ${filepath} (${har.log.entries.length} requests)`;
+  }
+
+  /**
+   * Path of a saved storage state: a bare name maps to states/<name>.json in
+   * the working directory, anything that looks like a path is used as is
+   */
+  getStatePath(name) {
+    if (/[\\/]/.test(name) || name.toLowerCase().endsWith('.json')) {
+      return path.resolve(this.config.workDir, name);
+    }
+    return path.join(this.config.workDir, 'states', `${name}.json`);
+  }
+
+  /**
+   * Save cookies and localStorage for every origin to a state file
+   */
+  async saveState(name) {
+    if (!name) {
+      return 'ERROR: state:save requires a name, e.g. state:save:github';
+    }
+    const filepath = this.getStatePath(name);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    const state = await this.context.storageState({ path: filepath });
+    return `State saved: ${filepath} (${state.cookies.length} cookies, ${state.origins.length} origins with localStorage)`;
+  }
+
+  /**
+   * Add the cookies and localStorage from a state file to the running context.
+   *
+   * Playwright only accepts storageState when a context is created, so
+   * localStorage is written by briefly opening each origin in a scratch page
+   * whose requests are answered locally (nothing is fetched from the site).
+   */
+  async loadState(name) {
+    if (!name) {
+      return 'ERROR: state:load requires a name, e.g. state:load:github';
+    }
+    const filepath = this.getStatePath(name);
+    if (!fs.existsSync(filepath)) {
+      return `ERROR: State file not found: ${filepath}`;
+    }
+    
+    const state = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+    const cookies = state.cookies || [];
+    let origins = (state.origins || []).filter(origin => origin.localStorage && origin.localStorage.length);
+    
+    // The scratch page answers its own requests, so the navigation policy
+    // route never sees them - check each origin before opening it
+    let skipped = 0;
+    if (this.policy) {
+      origins = origins.filter(({ origin }) => {
+        const reason = this.policy.checkUrl(origin);
+        if (reason) {
+          this.newViolations.push(reason);
+          this.logRedacted(`🛡️  Blocked by policy: ${reason}`);
+          skipped++;
+        }
+        return !reason;
+      });
+    }
+    
+    if (cookies.length) {
+      await this.context.addCookies(cookies);
+    }
+    
+    if (origins.length) {
+      const scratch = await this.context.newPage();
+      try {
+        await scratch.route('**/*', route => route.fulfill({ status: 200, contentType: 'text/html', body: '' }));
+        for (const { origin, localStorage } of origins) {
+          await scratch.goto(origin);
+          await scratch.evaluate((items) => {
+            items.forEach(({ name, value }) => window.localStorage.setItem(name, value));
+          }, localStorage);
+        }
+      } finally {
+        await scratch.close();
+        this.newTabs = this.newTabs.filter(page => page !== scratch);
+      }
+    }
+    
+    const blocked = skipped ? `, ${skipped} skipped by policy` : '';
+    return `State loaded: ${filepath} (${cookies.length} cookies, ${origins.length} origins with localStorage${blocked})`;
+  }
+
+  /**
+   * Handle cookie commands:
+   *   cookies[:<domain>]                    List cookies (optionally for one domain)
+   *   cookies:set:<name>=<value>[; attrs]   Set a cookie (Set-Cookie style attributes)
+   *   cookies:clear[:<domain>]              Delete all cookies (or one domain's)
+   */
+  async cookiesCommand(args) {
+    const [action, value] = WebPilot.splitTarget(args);
+    
+    if (action.toLowerCase() === 'set') {
+      return await this.setCookie(value);
+    }
+    
+    if (action.toLowerCase() === 'clear') {
+      if (value) {
+        const domain = value.replace(/^\./, '');
+        const before = (await this.context.cookies()).length;
+        await this.context.clearCookies({ domain: new RegExp(`(^|\\.)${domain.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`) });
+        const removed = before - (await this.context.cookies()).length;
+        return `Cleared ${removed} cookie(s) for ${domain}`;
+      }
+      const count = (await this.context.cookies()).length;
+      await this.context.clearCookies();
+      return `Cleared ${count} cookie(s)`;
+    }
+    
+    const domain = args.replace(/^\./, '').toLowerCase();
+    const cookies = (await this.context.cookies())
+      .filter(cookie => !domain || cookie.domain.replace(/^\./, '').toLowerCase().endsWith(domain));
+    
+    if (cookies.length === 0) {
+      return domain ? `No cookies for ${domain}` : 'No cookies';
+    }
+    
+    const lines = cookies.map((cookie) => {
+      const value = cookie.value.length > 60 ? `${cookie.value.substring(0, 60)}...` : cookie.value;
+      const flags = [
+        cookie.expires > 0 ? `expires ${new Date(cookie.expires * 1000).toISOString()}` : 'session',
+        cookie.httpOnly && 'HttpOnly',
+        cookie.secure && 'Secure',
+        cookie.sameSite && `SameSite=${cookie.sameSite}`
+      ].filter(Boolean).join(', ');
+      return `${cookie.name}=${value}  (${cookie.domain}${cookie.path}; ${flags})`;
+    });
+    return `Cookies (${cookies.length}):\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Set a cookie from a Set-Cookie style string: "name=value; Domain=...; Path=/; Secure".
+   * Without a Domain it applies to the current page's host.
+   */
+  async setCookie(spec) {
+    const [pair, ...attributes] = spec.split(';').map(part => part.trim());
+    const equals = pair ? pair.indexOf('=') : -1;
+    if (equals <= 0) {
+      return 'ERROR: cookies:set requires name=value, e.g. cookies:set:session=abc123; Domain=example.com';
+    }
+    
+    const cookie = { name: pair.substring(0, equals).trim(), value: pair.substring(equals + 1).trim() };
+    for (const attribute of attributes) {
+      const [key, ...rest] = attribute.split('=');
+      const attrValue = rest.join('=').trim();
+      switch (key.trim().toLowerCase()) {
+        case 'domain': cookie.domain = attrValue; break;
+        case 'path': cookie.path = attrValue; break;
+        case 'expires': cookie.expires = Math.floor(Date.parse(attrValue) / 1000); break;
+        case 'max-age': cookie.expires = Math.floor(Date.now() / 1000) + parseInt(attrValue); break;
+        case 'secure': cookie.secure = true; break;
+        case 'httponly': cookie.httpOnly = true; break;
+        case 'samesite': cookie.sameSite = attrValue.charAt(0).toUpperCase() + attrValue.slice(1).toLowerCase(); break;
+      }
+    }
+    
+    if (!cookie.domain) {
+      const url = this.page.url();
+      if (!/^https?:/.test(url)) {
+        return 'ERROR: Navigate to a page first or give a Domain, e.g. cookies:set:session=abc123; Domain=example.com';
+      }
+      cookie.domain = new URL(url).hostname;
+    }
+    cookie.path = cookie.path || '/';
+    
+    await this.context.addCookies([cookie]);
+    return `Cookie set: ${cookie.name} (${cookie.domain}${cookie.path})`;
+  }
+
+  /**
+   * Click an element by selector or text content
+   */
+  async clickElement(selector) {
+    if (WebPilot.isRef(selector)) {
+      await this.page.click(await this.resolveTarget(selector), { timeout: 5000 });
+    } else {
+      try {
+        // First try as CSS selector
+        await this.page.click(selector, { timeout: 5000 });
+        this.resolvedTargets.push({ original: selector, resolved: selector });
+      } catch {
+        // Try as text content
+        await this.page.click(`text=${selector}`, { timeout: 5000 });
+        this.resolvedTargets.push({ original: selector, resolved: `text=${selector}` });
+      }
+    }
+    await this.page.waitForLoadState('domcontentloaded');
+    
+    // A download link's download event can fire just after the click returns
+    if (!this.newDownloads.some(entry => !entry.reported)) {
+      await this.page.waitForEvent('download', { timeout: DOWNLOAD_WAIT }).catch(() => {});
+    }
+    return `Clicked: ${selector}`;
+  }
+
+  /**
+   * Scroll the page
+   */
+  async scroll(direction) {
+    switch (direction) {
+      case 'up':
+        await this.page.evaluate(() => window.scrollBy(0, -500));
+        return 'Scrolled up';
+      case 'down':
+        await this.page.evaluate(() => window.scrollBy(0, 500));
+        return 'Scrolled down';
+      case 'top':
+        await this.page.evaluate(() => window.scrollTo(0, 0));
+        return 'Scrolled to top';
+      case 'bottom':
+        await this.page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+        return 'Scrolled to bottom';
+      default:
+        return `Unknown scroll direction: ${direction}`;
+    }
+  }
+
+  /**
+   * Execute JavaScript code in the browser context
+   */
+  async executeJavaScript(code) {
+    try {
+      // Execute the code with a timeout
+      const result = await Promise.race([
+        this.page.evaluate((code) => {
+          // Use indirect eval to execute in global scope
+          const fn = new Function('return ' + code);
+          return fn();
+        }, code),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('Execution timeout')), 30000)
+        )
+      ]);
+
+      // Handle undefined result
+      if (result === undefined) {
+        return 'undefined';
+      }
+
+      // Convert result to string
+      if (typeof result === 'object') {
+        return JSON.stringify(result, null, 2);
+      }
+
+      return String(result);
+    } catch (error) {
+      return `ERROR: ${error.message}`;
+    }
+  }
+
+  /**
+   * Stop polling and close the browser
+   */
+  async close() {
+    this.running = false;
+    this.isReady = false;
+    // Close browser or persistent context depending on which was used
+    if (this.browser) {
+      await this.browser.close();
+    } else if (this.context) {
+      await this.context.close();
+    }
+  }
+
+  /**
+   * Whether the browser is still running
+   */
+  isBrowserAlive() {
+    if (this.browser) return this.browser.isConnected();
+    return Boolean(this.page) && !this.page.isClosed();
+  }
+
+  /**
+   * Write result to the result file.
+   * Objects are written as JSON. The file is replaced atomically so readers
+   * never see a partially written result.
+   */
+  writeResult(content) {
+    const data = typeof content === 'string' ? content : JSON.stringify(content, null, 2);
+    const tempPath = `${this.resultPath}.tmp`;
+    this.saveFile(tempPath, data);
+    fs.renameSync(tempPath, this.resultPath);
+  }
+
+  /**
+   * Log a message that may contain page content (URLs, dialog text, element
+   * labels, file names), with used secrets redacted like results are
+   */
+  logRedacted(message) {
+    console.log(this.secrets.redact(message));
+  }
+
+  /**
+   * Write a text file for the LLM to read. Every file the pilot saves in
+   * the working directory goes through here, so used secrets never reach
+   * the disk.
+   */
+  saveFile(filepath, text) {
+    fs.writeFileSync(filepath, this.secrets.redact(text));
   }
 
   /**
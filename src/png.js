@@ -0,0 +1,190 @@
+/**
+ * Web Pilot PNG Codec
+ *
+ * Minimal PNG reading and writing on top of zlib, enough for comparing
+ * browser screenshots without an image library. Decodes non-interlaced
+ * 8-bit images (greyscale, RGB, palette, with or without alpha) to RGBA,
+ * and encodes RGBA images.
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Bytes per pixel for each colour type at 8 bits per sample
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Predict a byte from its neighbours with the Paeth filter
+ */
+function paeth(left, up, upLeft) {
+  const p = left + up - upLeft;
+  const pa = Math.abs(p - left);
+  const pb = Math.abs(p - up);
+  const pc = Math.abs(p - upLeft);
+  if (pa <= pb && pa <= pc) return left;
+  return pb <= pc ? up : upLeft;
+}
+
+/**
+ * Decode a PNG buffer to { width, height, data } with data as RGBA bytes
+ */
+function decode(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error('Not a PNG file');
+  }
+
+  let width = 0;
+  let height = 0;
+  let colorType = 0;
+  let palette = null;
+  let transparency = null;
+  const compressed = [];
+
+  let offset = 8;
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      width = chunk.readUInt32BE(0);
+      height = chunk.readUInt32BE(4);
+      const bitDepth = chunk[8];
+      colorType = chunk[9];
+      const interlace = chunk[12];
+      if (bitDepth !== 8 || !(colorType in CHANNELS) || interlace !== 0) {
+        throw new Error(`Unsupported PNG format (bit depth ${bitDepth}, colour type ${colorType}, interlace ${interlace})`);
+      }
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      compressed.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  const bpp = CHANNELS[colorType];
+  const stride = width * bpp;
+  const raw = zlib.inflateSync(Buffer.concat(compressed));
+  const pixels = Buffer.alloc(stride * height);
+
+  // Undo the per-row filters
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const row = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+    const prev = out - stride;
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bpp ? pixels[out + x - bpp] : 0;
+      const up = y > 0 ? pixels[prev + x] : 0;
+      const upLeft = y > 0 && x >= bpp ? pixels[prev + x - bpp] : 0;
+      let value = row[x];
+      switch (filter) {
+        case 1: value += left; break;
+        case 2: value += up; break;
+        case 3: value += (left + up) >> 1; break;
+        case 4: value += paeth(left, up, upLeft); break;
+      }
+      pixels[out + x] = value & 0xff;
+    }
+  }
+
+  // Expand to RGBA
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0, p = 0; i < width * height; i++, p += bpp) {
+    const o = i * 4;
+    switch (colorType) {
+      case 0:
+        data[o] = data[o + 1] = data[o + 2] = pixels[p];
+        data[o + 3] = 255;
+        break;
+      case 2:
+        data[o] = pixels[p];
+        data[o + 1] = pixels[p + 1];
+        data[o + 2] = pixels[p + 2];
+        data[o + 3] = 255;
+        break;
+      case 3: {
+        const index = pixels[p];
+        data[o] = palette[index * 3];
+        data[o + 1] = palette[index * 3 + 1];
+        data[o + 2] = palette[index * 3 + 2];
+        data[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+        break;
+      }
+      case 4:
+        data[o] = data[o + 1] = data[o + 2] = pixels[p];
+        data[o + 3] = pixels[p + 1];
+        break;
+      case 6:
+        pixels.copy(data, o, p, p + 4);
+        break;
+    }
+  }
+
+  return { width, height, data };
+}
+
+/**
+ * Build a PNG chunk with its length and CRC
+ */
+function chunk(type, body) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length, 0);
+  header.write(type, 4, 'ascii');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), body])), 0);
+  return Buffer.concat([header, body, crc]);
+}
+
+/**
+ * Encode { width, height, data } (RGBA bytes) as a PNG buffer
+ */
+function encode({ width, height, data }) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // Bit depth
+  ihdr[9] = 6; // RGBA
+
+  // Unfiltered rows, each prefixed with filter type 0
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  decode,
+  encode
+};
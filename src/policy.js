@@ -0,0 +1,225 @@
+/**
+ * Web Pilot Safety Policy
+ *
+ * Limits what a driving LLM can do with the browser, loaded from a JSON
+ * policy file (--policy <file>):
+ *
+ *   {
+ *     "allow": ["https://*.example.com", "github.com"],   Navigation allowlist
+ *     "deny": ["**\/admin/**"],                            Denylist (wins over allow)
+ *     "execute": false,                                  Disable execute: and waitfor:js:
+ *     "confirm": ["submit", "purchase", "delete"],       Actions needing confirmation
+ *     "confirmToken": "let-me-buy",                      Optional: allow confirm:<token>
+ *     "confirmFile": "~/.web-pilot/confirm.txt"          Confirmation file (this is the default)
+ *   }
+ *
+ * Patterns are a bare host ("github.com", "*.example.com"), an origin
+ * ("https://*.example.com") or a URL glob ("https://example.com/docs/**",
+ * "**\/admin/**").
+ * Without "allow" every URL not denied is allowed.
+ *
+ * The confirmation file is created by the user, so it must live somewhere
+ * the LLM can't write: a relative confirmFile is resolved against the
+ * policy file's directory, and the pilot refuses one inside its working
+ * directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CONFIRM_CATEGORIES = ['submit', 'purchase', 'delete'];
+
+// Words on a button or link that mark it as a purchase or a delete
+const PURCHASE_PATTERN = /\b(buy|purchase|checkout|check out|place (your )?order|pay|payment|subscribe|upgrade|donate)\b/i;
+const DELETE_PATTERN = /\b(delete|remove|destroy|erase|discard|deactivate|unsubscribe|close (my )?account|cancel (my )?(subscription|account|order|plan))\b/i;
+
+/**
+ * Convert a glob to a regex: ** matches anything, * anything but "/"
+ */
+function globToRegex(glob) {
+  const source = glob
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(text => text.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+      .join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Build a matcher for one allow/deny pattern
+ */
+function toMatcher(pattern) {
+  const regex = globToRegex(pattern);
+  const schemeIndex = pattern.indexOf('://');
+
+  // Bare host: "github.com", "*.example.com"
+  if (schemeIndex === -1 && !pattern.includes('/')) {
+    return url => regex.test(url.hostname);
+  }
+
+  // Origin only: "https://*.example.com", "http://localhost:3000"
+  if (schemeIndex !== -1 && pattern.indexOf('/', schemeIndex + 3) === -1) {
+    return url => regex.test(url.origin);
+  }
+
+  // Full URL glob
+  return url => regex.test(url.href);
+}
+
+class Policy {
+  /**
+   * @param {Object} rules - Parsed policy file
+   * @param {string} baseDir - Directory a relative confirmFile is resolved against
+   */
+  constructor(rules = {}, baseDir = process.cwd()) {
+    const list = (value, name) => {
+      if (value === undefined) return [];
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        throw new Error(`Policy "${name}" must be an array of strings`);
+      }
+      return value;
+    };
+
+    this.allow = list(rules.allow, 'allow');
+    this.deny = list(rules.deny, 'deny');
+    this.confirm = list(rules.confirm, 'confirm').map(category => category.toLowerCase());
+    const unknown = this.confirm.filter(category => !CONFIRM_CATEGORIES.includes(category));
+    if (unknown.length) {
+      throw new Error(`Unknown confirm action(s): ${unknown.join(', ')} (use ${CONFIRM_CATEGORIES.join(', ')})`);
+    }
+
+    this.execute = rules.execute !== false;
+    this.confirmToken = rules.confirmToken ? String(rules.confirmToken) : null;
+    this.confirmFile = rules.confirmFile
+      ? path.resolve(baseDir, rules.confirmFile.replace(/^~(?=$|[\\/])/, os.homedir()))
+      : path.join(os.homedir(), '.web-pilot', 'confirm.txt');
+
+    this.allowMatchers = this.allow.map(toMatcher);
+    this.denyMatchers = this.deny.map(toMatcher);
+  }
+
+  /**
+   * Load a policy file
+   */
+  static load(filepath) {
+    let rules;
+    try {
+      rules = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Could not read policy file ${filepath}: ${err.message}`);
+    }
+    return new Policy(rules, path.dirname(filepath));
+  }
+
+  /**
+   * Whether the policy restricts navigation at all
+   */
+  restrictsNavigation() {
+    return this.allow.length > 0 || this.deny.length > 0;
+  }
+
+  /**
+   * Check a URL against the allow/deny lists. Returns null if it may be
+   * visited, otherwise the reason it is blocked.
+   */
+  checkUrl(href) {
+    let url;
+    try {
+      url = new URL(href);
+    } catch {
+      return null; // Relative or invalid URLs fail on their own
+    }
+
+    // Blank and error pages are always fine
+    if (url.protocol === 'about:' || url.protocol === 'chrome-error:') return null;
+
+    if (this.denyMatchers.some(matches => matches(url))) {
+      return `navigation to ${href} is denied`;
+    }
+    if (this.allowMatchers.length && !this.allowMatchers.some(matches => matches(url))) {
+      return `navigation to ${href} is not in the allowed list`;
+    }
+    return null;
+  }
+
+  /**
+   * Which confirmable action (purchase, delete, submit) activating an element
+   * would be, given {text, isSubmit} from the page - or null
+   */
+  static classifyAction({ text, isSubmit }) {
+    if (PURCHASE_PATTERN.test(text)) return 'purchase';
+    if (DELETE_PATTERN.test(text)) return 'delete';
+    if (isSubmit) return 'submit';
+    return null;
+  }
+
+  /**
+   * Whether an action category needs confirmation
+   */
+  requiresConfirmation(category) {
+    return Boolean(category) && this.confirm.includes(category);
+  }
+
+  /**
+   * Describe the policy for logging
+   */
+  describe() {
+    const parts = [];
+    if (this.allow.length) parts.push(`allow ${this.allow.join(', ')}`);
+    if (this.deny.length) parts.push(`deny ${this.deny.join(', ')}`);
+    if (!this.execute) parts.push('execute disabled');
+    if (this.confirm.length) parts.push(`confirm ${this.confirm.join('/')}`);
+    return parts.join('; ') || 'no restrictions';
+  }
+}
+
+/**
+ * Describe what activating an element would do, as {text, isSubmit}, for
+ * Policy.classifyAction: clicking it, or pressing `key` ('Enter' or 'Space')
+ * in it. Without an element, the focused element is described.
+ *
+ * Runs inside the browser (locator.evaluate or elementHandle.evaluate), so
+ * it must be self-contained.
+ */
+function describeActivation(el, key = null) {
+  const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+  const labelOf = target => clean([
+    target.innerText || target.textContent, target.value, target.getAttribute('aria-label'), target.getAttribute('title')
+  ].filter(Boolean).join(' '));
+  const isSubmitButton = (target) => {
+    const type = (target.getAttribute('type') || '').toLowerCase();
+    if (target.tagName === 'BUTTON') return type === '' || type === 'submit';
+    return target.tagName === 'INPUT' && (type === 'submit' || type === 'image');
+  };
+  const isTextField = (target) => {
+    const type = (target.getAttribute('type') || '').toLowerCase();
+    if (target.tagName === 'INPUT') return !isSubmitButton(target) && !['button', 'reset', 'checkbox', 'radio'].includes(type);
+    return target.tagName === 'TEXTAREA' || target.isContentEditable;
+  };
+
+  const start = el || document.activeElement;
+  if (!start || start === document.body) return { text: '', isSubmit: false };
+
+  const target = key ? start : start.closest('button, input, a, [role="button"], [role="link"], [role="menuitem"]') || start;
+  const form = target.form || target.closest('form');
+
+  // Enter in a text field submits its form, so judge by the form's submit button
+  if (key === 'Enter' && target.tagName === 'INPUT' && !isSubmitButton(target)) {
+    const submitter = form && Array.from(form.elements).find(isSubmitButton);
+    return { text: submitter ? labelOf(submitter) : '', isSubmit: Boolean(form) };
+  }
+  // Enter in a text area and Space in any text field just type
+  if ((key === 'Enter' && target.tagName === 'TEXTAREA') || (key === 'Space' && isTextField(target))) {
+    return { text: '', isSubmit: false };
+  }
+
+  return { text: labelOf(target).substring(0, 200), isSubmit: Boolean(form) && isSubmitButton(target) };
+}
+
+module.exports = {
+  Policy,
+  describeActivation
+};
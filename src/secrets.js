@@ -0,0 +1,103 @@
+/**
+ * Web Pilot Secrets
+ *
+ * Lets the LLM type passwords and tokens without ever seeing them:
+ * `type:#password:{{secret:GITHUB_PW}}` types the value of GITHUB_PW, looked
+ * up in the secrets file and then in environment variables. Values that
+ * have been used are redacted back to their placeholder in everything the
+ * pilot reports, and in every file it saves to the working directory.
+ *
+ * Secrets file (JSON, ~/.web-pilot/secrets.json by default - never in the
+ * working directory, which the LLM can read):
+ *
+ *   { "GITHUB_PW": "...", "API_TOKEN": "..." }
+ */
+
+const fs = require('fs');
+
+// {{secret:NAME}}, with NAME as an environment-variable style name
+const PLACEHOLDER = /\{\{secret:([A-Za-z_][A-Za-z0-9_]*)\}\}/;
+
+/**
+ * Split text around placeholders: even entries are plain text, odd entries
+ * secret names
+ */
+function splitPlaceholders(text) {
+  return text.split(new RegExp(PLACEHOLDER.source, 'g'));
+}
+
+class Secrets {
+  constructor(filepath = null) {
+    this.filepath = filepath;
+    this.used = new Map(); // Secret name -> value, for everything resolved so far
+  }
+
+  /**
+   * Read the secrets file. It is read on every lookup, so it can be edited
+   * while the pilot runs.
+   */
+  readFile() {
+    if (!this.filepath || !fs.existsSync(this.filepath)) return {};
+
+    let secrets;
+    try {
+      secrets = JSON.parse(fs.readFileSync(this.filepath, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Could not read secrets file ${this.filepath}: ${err.message}`);
+    }
+    if (!secrets || typeof secrets !== 'object' || Array.isArray(secrets)) {
+      throw new Error(`Secrets file ${this.filepath} must be a JSON object of names to values`);
+    }
+    return secrets;
+  }
+
+  /**
+   * Look up one secret: secrets file first, then environment variables
+   */
+  get(name) {
+    const secrets = this.readFile();
+    const value = Object.prototype.hasOwnProperty.call(secrets, name) ? secrets[name] : process.env[name];
+    if (value === undefined || value === null || value === '') {
+      const file = this.filepath ? ` or add it to ${this.filepath}` : '';
+      throw new Error(`Unknown secret: ${name} (set the ${name} environment variable${file})`);
+    }
+    return String(value);
+  }
+
+  /**
+   * Replace {{secret:NAME}} placeholders with their values
+   */
+  resolve(text) {
+    const parts = splitPlaceholders(text);
+    for (let i = 1; i < parts.length; i += 2) {
+      const name = parts[i];
+      parts[i] = this.get(name);
+      this.used.set(name, parts[i]);
+    }
+    return parts.join('');
+  }
+
+  /**
+   * Put placeholders back wherever a used secret's value appears, including
+   * its URL-encoded and JSON-escaped forms (form posts, HAR files)
+   */
+  redact(text) {
+    if (!this.used.size || typeof text !== 'string') return text;
+
+    // Longest first, so a secret containing another is replaced whole
+    const secrets = [...this.used].sort((a, b) => b[1].length - a[1].length);
+    let redacted = text;
+    for (const [name, value] of secrets) {
+      const forms = new Set([value, encodeURIComponent(value), JSON.stringify(value).slice(1, -1)]);
+      for (const form of forms) {
+        redacted = redacted.split(form).join(`{{secret:${name}}}`);
+      }
+    }
+    return redacted;
+  }
+}
+
+module.exports = {
+  Secrets,
+  splitPlaceholders
+};
@@ -0,0 +1,74 @@
+/**
+ * Web Pilot Command Targets
+ *
+ * Commands like type:, select:, drag: and upload: take a selector followed
+ * by a value, separated by ":". Selectors contain colons of their own
+ * (li:nth-child(2), a:hover, role=button[name="Next: step 2"]), so the
+ * separator is the first ":" that is
+ *
+ *   - outside quotes, brackets and parentheses, and
+ *   - not the start of a CSS or Playwright pseudo-class (:hover,
+ *     :nth-child(2), :has-text("x"), ::placeholder, ...)
+ *
+ * e.g. "li:nth-child(2):#trash" splits into "li:nth-child(2)" and "#trash".
+ */
+
+// Pseudo-classes that take an argument, e.g. :nth-child(2), :has-text("x")
+const FUNCTIONAL_PSEUDO_CLASSES = [
+  'not', 'is', 'where', 'has', 'nth-child', 'nth-last-child', 'nth-of-type', 'nth-last-of-type',
+  'lang', 'dir', 'host', 'host-context', 'has-text', 'text', 'text-is', 'text-matches',
+  'nth-match', 'left-of', 'right-of', 'above', 'below', 'near'
+];
+
+// Pseudo-classes without an argument
+const PLAIN_PSEUDO_CLASSES = [
+  'hover', 'focus', 'focus-within', 'focus-visible', 'active', 'visited', 'link', 'any-link', 'target',
+  'checked', 'disabled', 'enabled', 'required', 'optional', 'valid', 'invalid', 'read-only',
+  'read-write', 'placeholder-shown', 'default', 'indeterminate', 'empty', 'root', 'scope', 'defined',
+  'first-child', 'last-child', 'only-child', 'first-of-type', 'last-of-type', 'only-of-type', 'visible'
+];
+
+// A pseudo-class or pseudo-element at the start of the text. A plain one
+// must be followed by something that continues a selector (not a space, so
+// "type:#msg:link to the docs" still types "link to the docs"), and at the
+// end of the text it is the separator: "type:#status:active" types "active".
+const PSEUDO_CLASS = new RegExp('^(?:::[a-z-]+'
+  + `|:(?:${FUNCTIONAL_PSEUDO_CLASSES.join('|')})(?=\\()`
+  + `|:(?:${PLAIN_PSEUDO_CLASSES.join('|')})(?=[:,>+~.#[)]))`, 'i');
+
+/**
+ * Split "<selector>:<rest>" at the first ":" that separates them
+ */
+function splitTarget(args) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const char = args[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if ((char === ')' || char === ']') && depth > 0) {
+      depth--;
+    } else if (char === ':' && depth === 0) {
+      const pseudo = args.substring(i).match(PSEUDO_CLASS);
+      if (!pseudo) return [args.substring(0, i).trim(), args.substring(i + 1).trim()];
+      i += pseudo[0].length - 1; // Skip its name; an argument is read as brackets
+    }
+  }
+
+  // No separator: an unbalanced quote or bracket swallowed it, or there is none
+  const separator = quote || depth ? args.indexOf(':') : -1;
+  if (separator !== -1) {
+    return [args.substring(0, separator).trim(), args.substring(separator + 1).trim()];
+  }
+  return [args.trim(), ''];
+}
+
+module.exports = {
+  splitTarget
+};
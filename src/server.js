@@ -0,0 +1,277 @@
+/**
+ * Web Pilot Control Server
+ *
+ * Exposes a running WebPilot over localhost HTTP and WebSocket, as a
+ * low-latency alternative to the command.txt/result.txt file transport.
+ * Commands from every transport share the pilot's queue, so they never
+ * run concurrently.
+ *
+ *   POST /command   Run a command (JSON envelope, batch, or plain text)
+ *                   and respond with its JSON result
+ *   GET  /commands  List available commands
+ *   GET  /health    Check the server is up
+ *   WS   /events    Stream command/result/dialog events; JSON envelopes sent
+ *                   over the socket are run like POST /command
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+
+const WebPilot = require('./pilot');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Events forwarded from the pilot to WebSocket clients
+const STREAMED_EVENTS = ['ready', 'command', 'result', 'dialog'];
+
+class ControlServer {
+  constructor(pilot, options = {}) {
+    this.pilot = pilot;
+    this.port = options.port || 0;
+    this.host = options.host || '127.0.0.1';
+    this.token = options.token || crypto.randomBytes(16).toString('hex');
+    this.server = null;
+    this.wss = null;
+    this.listeners = [];
+    this.exitListener = null;
+  }
+
+  /**
+   * Path of the file that tells local clients where to connect
+   */
+  getInfoPath() {
+    return path.join(this.pilot.config.workDir, '.web-pilot-server.json');
+  }
+
+  /**
+   * Start listening for HTTP and WebSocket connections
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((err) => {
+        this.sendJson(res, 500, { status: 'error', error: { code: 'SERVER_ERROR', message: err.message } });
+      });
+    });
+
+    this.wss = new WebSocketServer({ noServer: true });
+    this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.port = this.server.address().port;
+
+    // Forward pilot events to every connected WebSocket client
+    for (const event of STREAMED_EVENTS) {
+      const listener = (data) => this.broadcast(event, data);
+      this.pilot.on(event, listener);
+      this.listeners.push([event, listener]);
+    }
+
+    // Remove the connection info when the pilot exits (e.g. on quit)
+    this.exitListener = () => this.removeInfoFile();
+    process.once('exit', this.exitListener);
+
+    // The file holds the token, so only the user may read it. The mode only
+    // applies to a new file, so replace any old one.
+    this.removeInfoFile();
+    fs.writeFileSync(this.getInfoPath(), JSON.stringify({
+      url: `http://${this.host}:${this.port}`,
+      port: this.port,
+      token: this.token,
+      pid: process.pid
+    }, null, 2), { mode: 0o600 });
+
+    console.log(`🔌 Control server listening on http://${this.host}:${this.port}`);
+    console.log(`   POST /command  |  WS /events  |  token in ${path.basename(this.getInfoPath())}\n`);
+
+    return this;
+  }
+
+  /**
+   * Stop the server and disconnect clients
+   */
+  async stop() {
+    for (const [event, listener] of this.listeners) {
+      this.pilot.off(event, listener);
+    }
+    this.listeners = [];
+
+    if (this.wss) {
+      this.wss.clients.forEach(client => client.terminate());
+      this.wss.close();
+    }
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+    }
+
+    process.off('exit', this.exitListener);
+    this.removeInfoFile();
+  }
+
+  /**
+   * Delete the connection info file
+   */
+  removeInfoFile() {
+    try {
+      fs.unlinkSync(this.getInfoPath());
+    } catch {
+      // Ignore if already removed
+    }
+  }
+
+  /**
+   * Check the request carries the server token, either as a
+   * "Authorization: Bearer <token>" header or a ?token= query parameter
+   */
+  isAuthorized(req) {
+    const url = new URL(req.url, `http://${req.headers.host || this.host}`);
+    const header = req.headers.authorization || '';
+    const supplied = header.startsWith('Bearer ')
+      ? header.substring(7).trim()
+      : url.searchParams.get('token');
+
+    if (!supplied) return false;
+
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(supplied);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Route an HTTP request
+   */
+  async handleRequest(req, res) {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || this.host}`);
+
+    if (!this.isAuthorized(req)) {
+      return this.sendJson(res, 401, { status: 'error', error: { code: 'UNAUTHORIZED', message: 'Missing or invalid token' } });
+    }
+
+    if (req.method === 'GET' && pathname === '/health') {
+      return this.sendJson(res, 200, { status: 'ok', url: this.pilot.page ? this.pilot.page.url() : null });
+    }
+
+    if (req.method === 'GET' && pathname === '/commands') {
+      return this.sendJson(res, 200, this.pilot.getCommands());
+    }
+
+    if (req.method === 'POST' && pathname === '/command') {
+      let body;
+      try {
+        body = await this.readBody(req);
+      } catch (err) {
+        if (err.statusCode !== 413) throw err;
+        // Answer before closing, rather than dropping the connection mid-upload
+        res.setHeader('Connection', 'close');
+        return this.sendJson(res, 413, { status: 'error', error: { code: 'PAYLOAD_TOO_LARGE', message: err.message } });
+      }
+      let batch;
+      try {
+        batch = WebPilot.parseCommandFile(body);
+      } catch (err) {
+        return this.sendJson(res, 400, { status: 'error', error: { code: 'BAD_REQUEST', message: err.message } });
+      }
+      if (batch.requests.length === 0) {
+        return this.sendJson(res, 400, { status: 'error', error: { code: 'BAD_REQUEST', message: 'No command given' } });
+      }
+      return this.sendJson(res, 200, await this.pilot.submit(batch));
+    }
+
+    return this.sendJson(res, 404, { status: 'error', error: { code: 'NOT_FOUND', message: `No route for ${req.method} ${pathname}` } });
+  }
+
+  /**
+   * Accept WebSocket connections on /events
+   */
+  handleUpgrade(req, socket, head) {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || this.host}`);
+
+    if (pathname !== '/events' || !this.isAuthorized(req)) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.on('message', (message) => this.handleMessage(ws, message.toString()));
+
+      // The ready event may have fired before this client (or the server) existed
+      if (this.pilot.isReady) {
+        const url = this.pilot.page && !this.pilot.page.isClosed() ? this.pilot.page.url() : null;
+        ws.send(JSON.stringify({ event: 'ready', data: { url } }));
+      }
+    });
+  }
+
+  /**
+   * Run a command sent over a WebSocket and reply with its result
+   */
+  async handleMessage(ws, message) {
+    let batch;
+    try {
+      batch = WebPilot.parseCommandFile(message);
+    } catch (err) {
+      ws.send(JSON.stringify({ event: 'error', data: { code: 'BAD_REQUEST', message: err.message } }));
+      return;
+    }
+    if (batch.requests.length === 0) return;
+
+    const output = await this.pilot.submit(batch);
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify({ event: 'response', data: output }));
+    }
+  }
+
+  /**
+   * Send an event to every connected WebSocket client
+   */
+  broadcast(event, data) {
+    const message = JSON.stringify({ event, data });
+    this.wss.clients.forEach((client) => {
+      if (client.readyState === client.OPEN) {
+        client.send(message);
+      }
+    });
+  }
+
+  /**
+   * Read a request body as text. A body over MAX_BODY_BYTES is rejected
+   * with an error whose statusCode is 413; the rest of it is discarded.
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      let tooLarge = false;
+      const chunks = [];
+      req.on('data', (chunk) => {
+        if (tooLarge) return;
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          tooLarge = true;
+          const err = new Error(`Request body too large (limit ${MAX_BODY_BYTES} bytes)`);
+          err.statusCode = 413;
+          reject(err);
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Send a JSON response
+   */
+  sendJson(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data, null, 2));
+  }
+}
+
+module.exports = ControlServer;
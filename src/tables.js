@@ -0,0 +1,184 @@
+/**
+ * Web Pilot Table Extraction
+ *
+ * Reads HTML tables and ARIA grids (role=grid/treegrid/table, usually built
+ * from divs) into a rectangular grid of cell text, expanding colspan and
+ * rowspan so every row has a value for every column. Header rows (thead, or
+ * leading rows made only of header cells) become column names, and the table
+ * can then be written as JSON records or CSV.
+ */
+
+/**
+ * Read every table on the page, or just the one at/inside/around `root`.
+ *
+ * Runs inside the browser (page.evaluate or locator.evaluate), so it must be
+ * self-contained. Returns [{index, caption, kind, headers, rows}] where
+ * index is the table's 1-based position among all tables on the page.
+ */
+function readTables(root) {
+  const TABLE_SELECTOR = 'table, [role="grid"], [role="treegrid"], [role="table"]';
+  const HEADER_ROLES = new Set(['columnheader']);
+  const CELL_ROLES = new Set(['cell', 'gridcell', 'columnheader', 'rowheader']);
+
+  const cellText = cell => (cell.innerText || cell.textContent || '').replace(/\s+/g, ' ').trim();
+
+  // Rows of an ARIA grid, skipping rows that belong to a nested grid
+  const ariaRows = table => Array.from(table.querySelectorAll('[role="row"]'))
+    .filter(row => row.parentElement.closest(TABLE_SELECTOR) === table);
+
+  const ariaCells = row => Array.from(row.querySelectorAll('[role]'))
+    .filter(cell => CELL_ROLES.has(cell.getAttribute('role')) && cell.closest('[role="row"]') === row);
+
+  // Rows as lists of {text, colspan, rowspan, colIndex, header}, plus how many leading rows are headers
+  const readRows = (table) => {
+    if (table.tagName === 'TABLE') {
+      const rows = Array.from(table.rows).map(row => Array.from(row.cells).map(cell => ({
+        text: cellText(cell),
+        colspan: Math.max(cell.colSpan || 1, 1),
+        rowspan: cell.rowSpan,
+        header: cell.tagName === 'TH'
+      })));
+      const headerCount = table.tHead ? table.tHead.rows.length : null;
+      return { rows, headerCount, kind: 'table' };
+    }
+
+    const rows = ariaRows(table).map(row => ariaCells(row).map(cell => ({
+      text: cellText(cell),
+      colspan: Math.max(parseInt(cell.getAttribute('aria-colspan')) || 1, 1),
+      rowspan: parseInt(cell.getAttribute('aria-rowspan')) || 1,
+      colIndex: parseInt(cell.getAttribute('aria-colindex')) || null,
+      header: HEADER_ROLES.has(cell.getAttribute('role'))
+    })));
+    return { rows, headerCount: null, kind: table.getAttribute('role') };
+  };
+
+  // Lay cells out on a grid, copying spanned cells into every slot they cover
+  const expand = (rows) => {
+    const grid = [];
+    const headerFlags = [];
+    rows.forEach((cells, r) => {
+      grid[r] = grid[r] || [];
+      headerFlags[r] = headerFlags[r] || [];
+      let column = 0;
+      for (const cell of cells) {
+        if (cell.colIndex) column = cell.colIndex - 1;
+        while (grid[r][column] !== undefined) column++;
+        // rowspan=0 spans the rest of the table
+        const rowspan = cell.rowspan === 0 ? rows.length - r : Math.max(cell.rowspan || 1, 1);
+        for (let dr = 0; dr < rowspan && r + dr < rows.length; dr++) {
+          grid[r + dr] = grid[r + dr] || [];
+          headerFlags[r + dr] = headerFlags[r + dr] || [];
+          for (let dc = 0; dc < cell.colspan; dc++) {
+            grid[r + dr][column + dc] = cell.text;
+            headerFlags[r + dr][column + dc] = cell.header;
+          }
+        }
+        column += cell.colspan;
+      }
+    });
+
+    const width = Math.max(0, ...grid.map(row => row.length));
+    return {
+      grid: grid.map(row => Array.from({ length: width }, (_, c) => (row[c] === undefined ? '' : row[c]))),
+      headerFlags: headerFlags.map(row => Array.from({ length: width }, (_, c) => Boolean(row[c])))
+    };
+  };
+
+  const readTable = (table, index) => {
+    const { rows, headerCount, kind } = readRows(table);
+    const { grid, headerFlags } = expand(rows);
+
+    // Header rows: thead, else leading rows made only of header cells
+    let headerRows = headerCount;
+    if (headerRows === null) {
+      headerRows = 0;
+      while (headerRows < grid.length - 1 && headerFlags[headerRows].length
+        && headerFlags[headerRows].every(Boolean)) {
+        headerRows++;
+      }
+    }
+
+    const width = grid.length ? grid[0].length : 0;
+    const headers = Array.from({ length: width }, (_, c) => {
+      // Stacked header rows combine, e.g. "Q1 / Revenue"; spanned cells repeat, so skip duplicates
+      const parts = [];
+      for (let r = 0; r < headerRows; r++) {
+        const text = grid[r][c];
+        if (text && parts[parts.length - 1] !== text) parts.push(text);
+      }
+      return parts.join(' / ') || `Column ${c + 1}`;
+    });
+
+    const caption = table.tagName === 'TABLE'
+      ? (table.caption ? cellText(table.caption) : '')
+      : (table.getAttribute('aria-label') || '');
+
+    return {
+      index,
+      caption,
+      kind,
+      headers,
+      rows: grid.slice(headerRows).filter(row => row.some(cell => cell !== ''))
+    };
+  };
+
+  const all = Array.from(document.querySelectorAll(TABLE_SELECTOR));
+
+  if (root) {
+    const table = root.matches(TABLE_SELECTOR)
+      ? root
+      : root.querySelector(TABLE_SELECTOR) || root.closest(TABLE_SELECTOR);
+    return table ? [readTable(table, all.indexOf(table) + 1)] : [];
+  }
+
+  return all.map((table, i) => readTable(table, i + 1));
+}
+
+/**
+ * Column names made unique, so they can be used as record keys
+ */
+function uniqueHeaders(headers) {
+  const seen = new Map();
+  return headers.map((header) => {
+    const count = (seen.get(header) || 0) + 1;
+    seen.set(header, count);
+    return count === 1 ? header : `${header} (${count})`;
+  });
+}
+
+/**
+ * A table as an array of {column: value} records
+ */
+function toRecords(table) {
+  const headers = uniqueHeaders(table.headers);
+  return table.rows.map(row => Object.fromEntries(headers.map((header, c) => [header, row[c]])));
+}
+
+/**
+ * A table as CSV text, header row first
+ */
+function toCsv(table) {
+  const quote = value => (/[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  return [table.headers, ...table.rows]
+    .map(row => row.map(quote).join(','))
+    .join('\n') + '\n';
+}
+
+/**
+ * One-line summary of a table
+ */
+function describeTable(table) {
+  const name = table.caption ? ` "${table.caption}"` : '';
+  const kind = table.kind === 'table' ? '' : ` [role=${table.kind}]`;
+  const columns = table.headers.length > 6
+    ? `${table.headers.slice(0, 6).join(', ')}, ...`
+    : table.headers.join(', ');
+  return `Table ${table.index}${name}${kind}: ${table.rows.length} rows x ${table.headers.length} columns (${columns})`;
+}
+
+module.exports = {
+  readTables,
+  toRecords,
+  toCsv,
+  describeTable
+};
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WebPilot = require('../src/pilot');
+
+const commandsOf = batch => batch.requests.map(request => request.command);
+
+test('reads a single plain-text command', () => {
+  const batch = WebPilot.parseCommandFile('\uFEFFgoto:https://example.com\n');
+
+  assert.deepStrictEqual(commandsOf(batch), ['goto:https://example.com']);
+  assert.strictEqual(batch.json, false);
+  assert.strictEqual(batch.multiple, false);
+});
+
+test('reads one command per line, skipping blank lines and comments', () => {
+  const batch = WebPilot.parseCommandFile('# log in\ngoto:https://example.com\n\ntype:#user:ada\nclick:Sign in\nscreenshot');
+
+  assert.deepStrictEqual(commandsOf(batch), ['goto:https://example.com', 'type:#user:ada', 'click:Sign in', 'screenshot']);
+  assert.strictEqual(batch.multiple, true);
+});
+
+test('keeps multi-line text as one command', () => {
+  const bio = 'type:#bio:Hello there\nback to work tomorrow\nclick here for more';
+  assert.deepStrictEqual(commandsOf(WebPilot.parseCommandFile(bio)), [bio]);
+
+  const script = 'execute:const rows = document.querySelectorAll("tr");\nreturn rows.length;';
+  assert.deepStrictEqual(commandsOf(WebPilot.parseCommandFile(script)), [script]);
+});
+
+test('reads a JSON envelope, building the command from its args', () => {
+  const batch = WebPilot.parseCommandFile('{"id": 7, "cmd": "type", "args": ["#q", "a:b"]}');
+
+  assert.deepStrictEqual(batch.requests, [{ id: 7, command: 'type:#q:a:b' }]);
+  assert.strictEqual(batch.json, true);
+  assert.strictEqual(batch.multiple, false);
+  assert.deepStrictEqual(WebPilot.parseCommandFile('{"cmd": "wait", "args": 2}').requests, [{ id: null, command: 'wait:2' }]);
+  assert.deepStrictEqual(WebPilot.parseCommandFile('{"cmd": "url"}').requests, [{ id: null, command: 'url' }]);
+});
+
+test('reads JSON batches and arrays of envelopes or strings', () => {
+  const batch = WebPilot.parseCommandFile(JSON.stringify({
+    id: 'login',
+    stopOnError: false,
+    commands: [{ id: 1, cmd: 'goto', args: ['https://example.com'] }, 'click:Sign in']
+  }));
+
+  assert.strictEqual(batch.id, 'login');
+  assert.strictEqual(batch.stopOnError, false);
+  assert.deepStrictEqual(batch.requests, [
+    { id: 1, command: 'goto:https://example.com' },
+    { id: null, command: 'click:Sign in' }
+  ]);
+
+  const array = WebPilot.parseCommandFile('["title", {"cmd": "url"}]');
+  assert.deepStrictEqual(commandsOf(array), ['title', 'url']);
+  assert.strictEqual(array.multiple, true);
+  assert.strictEqual(array.stopOnError, undefined);
+});
+
+test('rejects envelopes without a command', () => {
+  assert.throws(() => WebPilot.parseCommandFile('{"args": ["x"]}'), /requires a "cmd" string/);
+  assert.throws(() => WebPilot.parseCommandFile('[{"cmd": "  "}]'), /requires a "cmd" string/);
+  assert.throws(() => WebPilot.parseCommandFile('{"cmd": "goto"'), SyntaxError);
+});
+
+test('isCommandLine only accepts known command names', () => {
+  assert.ok(WebPilot.isCommandLine('screenshot'));
+  assert.ok(WebPilot.isCommandLine('Click:#go'));
+  assert.ok(WebPilot.isCommandLine('waitfor:text:Done'));
+  assert.ok(!WebPilot.isCommandLine('back to work'));
+  assert.ok(!WebPilot.isCommandLine('clicked:#go'));
+  assert.ok(!WebPilot.isCommandLine('return rows.length;'));
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const Daemon = require('../src/daemon');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'web-pilot-daemon-'));
+const children = [];
+test.after(() => {
+  for (const child of children) child.kill();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+// A daemon on a fresh working directory
+function daemon() {
+  return new Daemon(fs.mkdtempSync(path.join(tmp, 'dir-')));
+}
+
+// Write a pidfile as another pilot would
+function writePidfile(d, info) {
+  fs.writeFileSync(d.getPidPath(), JSON.stringify({ startedAt: new Date().toISOString(), cwd: tmp, background: false, ...info }));
+}
+
+// A process that stays alive for the test, with the given arguments
+function idleProcess(args = []) {
+  const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 60000)', ...args], { stdio: 'ignore' });
+  children.push(child);
+  return child.pid;
+}
+
+// The PID of a process that has already exited
+function deadPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+test('acquire writes a pidfile and release removes it', (t) => {
+  const d = daemon();
+  d.acquire(['--dir', d.workDir]);
+  t.after(() => d.release());
+
+  const info = Daemon.readJson(d.getPidPath());
+  assert.strictEqual(info.pid, process.pid);
+  assert.deepStrictEqual(info.args, ['--dir', d.workDir]);
+
+  d.release();
+  assert.strictEqual(fs.existsSync(d.getPidPath()), false);
+});
+
+test('release leaves a pidfile that belongs to another pilot', () => {
+  const d = daemon();
+  writePidfile(d, { pid: deadPid(), args: [] });
+  d.release();
+  assert.strictEqual(fs.existsSync(d.getPidPath()), true);
+});
+
+test('takes over a pidfile whose pilot has died', (t) => {
+  const d = daemon();
+  writePidfile(d, { pid: deadPid(), args: [] });
+
+  d.acquire([]);
+  t.after(() => d.release());
+  assert.strictEqual(Daemon.readJson(d.getPidPath()).pid, process.pid);
+});
+
+test('takes over a pidfile whose PID now belongs to an unrelated process', (t) => {
+  const d = daemon();
+  const pid = idleProcess(['--unrelated']);
+  writePidfile(d, { pid, args: ['--dir', d.workDir] });
+  assert.strictEqual(d.isPilot({ pid, args: ['--dir', d.workDir] }), false);
+
+  d.acquire([]);
+  t.after(() => d.release());
+  assert.strictEqual(Daemon.readJson(d.getPidPath()).pid, process.pid);
+});
+
+test('refuses a directory held by a live pilot', () => {
+  const d = daemon();
+  const args = ['web-pilot', '--dir', d.workDir];
+  const pid = idleProcess(args);
+  writePidfile(d, { pid, args });
+
+  assert.strictEqual(d.isPilot({ pid, args }), true);
+  assert.throws(() => d.acquire([]), new RegExp(`already running in .* \\(PID ${pid}\\)`));
+  assert.strictEqual(Daemon.readJson(d.getPidPath()).pid, pid);
+});
+
+test('refuses a directory whose pilot has a fresh heartbeat', () => {
+  const d = daemon();
+  const pid = idleProcess(['--unrelated']);
+  writePidfile(d, { pid, args: [] });
+  fs.writeFileSync(d.getHeartbeatPath(), JSON.stringify({ pid, updatedAt: new Date().toISOString() }));
+
+  assert.throws(() => d.acquire([]), /already running/);
+});
+
+test('ignores a stale heartbeat', () => {
+  const d = daemon();
+  const pid = idleProcess(['--unrelated']);
+  fs.writeFileSync(d.getHeartbeatPath(), JSON.stringify({ pid, updatedAt: new Date(Date.now() - 60000).toISOString() }));
+
+  assert.strictEqual(d.isPilot({ pid, args: [] }), false);
+});
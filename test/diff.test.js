@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compareImages, describeComparison } = require('../src/diff');
+
+// A white RGBA image with black squares at [x, y, size]
+function image(width, height, squares = []) {
+  const data = Buffer.alloc(width * height * 4, 255);
+  for (const [left, top, size] of squares) {
+    for (let y = top; y < top + size; y++) {
+      for (let x = left; x < left + size; x++) {
+        data.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+test('identical images have no changes', () => {
+  const result = compareImages(image(40, 40, [[5, 5, 4]]), image(40, 40, [[5, 5, 4]]));
+
+  assert.strictEqual(result.changed, 0);
+  assert.strictEqual(result.percent, 0);
+  assert.deepStrictEqual(result.regions, []);
+});
+
+test('differences below the threshold are ignored', () => {
+  const after = image(10, 10);
+  after.data[0] = 240;
+
+  assert.strictEqual(compareImages(image(10, 10), after).changed, 0);
+  assert.strictEqual(compareImages(image(10, 10), after, 10).changed, 1);
+});
+
+test('reports the changed share and a tight box around each region, largest first', () => {
+  const result = compareImages(image(100, 100), image(100, 100, [[2, 3, 4], [60, 70, 10]]));
+
+  assert.strictEqual(result.changed, 16 + 100);
+  assert.strictEqual(result.total, 10000);
+  assert.strictEqual(result.percent, 1.16);
+  assert.deepStrictEqual(result.regions, [
+    { x: 60, y: 70, width: 10, height: 10 },
+    { x: 2, y: 3, width: 4, height: 4 }
+  ]);
+});
+
+test('changes in neighbouring grid cells form one region', () => {
+  // Straddles the 16px cell boundary in both directions
+  const result = compareImages(image(64, 64), image(64, 64, [[12, 12, 8]]));
+  assert.deepStrictEqual(result.regions, [{ x: 12, y: 12, width: 8, height: 8 }]);
+});
+
+test('marks changes in red on the diff image', () => {
+  const { diff } = compareImages(image(2, 1), image(2, 1, [[1, 0, 1]]));
+
+  assert.deepStrictEqual([...diff.data.subarray(4, 8)], [255, 0, 0, 255]);
+  assert.notDeepStrictEqual([...diff.data.subarray(0, 4)], [255, 0, 0, 255]);
+});
+
+test('counts pixels outside the smaller image as changed', () => {
+  const result = compareImages(image(10, 10), image(10, 12));
+
+  assert.strictEqual(result.width, 10);
+  assert.strictEqual(result.height, 12);
+  assert.strictEqual(result.changed, 20);
+  assert.deepStrictEqual(result.regions, [{ x: 0, y: 10, width: 10, height: 2 }]);
+});
+
+test('describeComparison lists the regions', () => {
+  const text = describeComparison(compareImages(image(100, 100), image(100, 100, [[2, 3, 4]])));
+  assert.strictEqual(text, [
+    '0.16% of pixels changed (16 of 10000)',
+    'Changed regions (1, as x,y widthxheight):',
+    '  1. 2,3 4x4'
+  ].join('\n'));
+});
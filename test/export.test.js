@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { toPilotScript, toPlaywrightScript } = require('../src/export');
+
+// A session entry, with targets as [original, resolved] pairs
+const entry = (command, targets = [], status = 'ok') => ({
+  time: '2024-01-01T00:00:00.000Z',
+  command,
+  status,
+  targets: targets.map(([original, resolved]) => ({ original, resolved }))
+});
+
+// Script lines after the header comments
+const pilotSteps = session => toPilotScript(session).script.split('\n').filter(line => line && !line.startsWith('#'));
+
+// Test body lines, without the comment that repeats each command
+const playwrightSteps = (session, workDir) => toPlaywrightScript(session, workDir).script
+  .split('\n')
+  .filter(line => line.startsWith('  ') && !line.startsWith('  // ') || line.startsWith('  // ('))
+  .map(line => line.trim());
+
+test('exports only successful commands that change the page', () => {
+  const session = [
+    entry('goto:https://example.com'),
+    entry('text'),
+    entry('snapshot'),
+    entry('click:#missing', [], 'error'),
+    entry('click:#go', [['#go', '#go']])
+  ];
+
+  assert.deepStrictEqual(pilotSteps(session), ['goto:https://example.com', 'click:#go']);
+  assert.strictEqual(toPilotScript(session).steps, 2);
+});
+
+test('replaces refs with the selector that matched', () => {
+  const session = [
+    entry('click:@3', [['@3', '[data-testid="save"]']]),
+    entry('type:@4:hello', [['@4', '#name']])
+  ];
+
+  assert.deepStrictEqual(pilotSteps(session), ['click:[data-testid="save"]', 'type:#name:hello']);
+  assert.deepStrictEqual(playwrightSteps(session), [
+    'await page.locator("[data-testid=\\"save\\"]").click();',
+    'await page.locator("#name").fill("hello");'
+  ]);
+});
+
+test('keeps selectors with colons intact', () => {
+  const session = [entry('type:li:nth-child(2) input:hello', [['li:nth-child(2) input', 'li:nth-child(2) input']])];
+
+  assert.deepStrictEqual(pilotSteps(session), ['type:li:nth-child(2) input:hello']);
+  assert.deepStrictEqual(playwrightSteps(session), ['await page.locator("li:nth-child(2) input").fill("hello");']);
+});
+
+test('skips refs without a stable selector', () => {
+  const session = [
+    entry('click:@7', [['@7', '[data-pilot-ref="7"]']]),
+    entry('drag:#a:@2', [['#a', '#a'], ['@2', '[data-pilot-ref="2"]']]),
+    entry('waitfor:selector:@8', [['@8', '@8']])
+  ];
+
+  assert.deepStrictEqual(playwrightSteps(session), [
+    '// (snapshot ref without a stable selector - skipped)',
+    '// (snapshot ref without a stable selector - skipped)',
+    '// (snapshot ref without a stable selector - skipped)'
+  ]);
+  assert.deepStrictEqual(pilotSteps(session), []);
+  assert.match(toPilotScript(session).script, /# click:@7\n# \(snapshot ref without a stable selector - skipped\)/);
+});
+
+test('resolves refs in waitfor: conditions', () => {
+  const session = [entry('waitfor:5s:selector:@2:hidden', [['@2', '#spinner']])];
+
+  assert.deepStrictEqual(pilotSteps(session), ['waitfor:5s:selector:#spinner:hidden']);
+
+  assert.deepStrictEqual(playwrightSteps(session), [
+    'await page.locator("#spinner").first().waitFor({ state: \'hidden\', timeout: 5000 });'
+  ]);
+});
+
+test('makes upload paths absolute against the working directory', () => {
+  const workDir = path.join(path.sep, 'work', 'pilot');
+  const session = [entry('upload:#file:report.pdf|/tmp/photo.png', [['#file', '#file']])];
+  const files = [path.join(workDir, 'report.pdf'), path.resolve('/tmp/photo.png')];
+
+  assert.deepStrictEqual(playwrightSteps(session, workDir), [
+    `await page.locator("#file").setInputFiles(${JSON.stringify(files)});`
+  ]);
+});
+
+test('reads secrets from the environment instead of writing them into the test', () => {
+  const session = [entry('type:#pw:{{secret:PW}}!', [['#pw', '#pw']])];
+
+  assert.deepStrictEqual(playwrightSteps(session), ['await page.locator("#pw").fill(process.env.PW + "!");']);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const { validateSchema, extractItems } = require('../src/extract');
+
+// extractItems runs in the browser, so give it a page to read
+function extractFrom(html, schema) {
+  const { document } = new JSDOM(html, { url: 'https://shop.test/search?q=tea' }).window;
+  global.document = document;
+  try {
+    return extractItems(schema);
+  } finally {
+    delete global.document;
+  }
+}
+
+const CARDS = `
+  <div class="card" data-id="1">
+    <h3>Green tea</h3><a href="/p/1">View</a>
+    <span class="tag">organic</span><span class="tag">loose</span>
+  </div>
+  <div class="card" data-id="2">
+    <h3>Black tea</h3><a href="https://other.test/p/2" title="a@b">View</a>
+  </div>`;
+
+test('extracts text, attributes and lists from each item', () => {
+  const items = extractFrom(CARDS, {
+    items: '.card',
+    fields: { title: 'h3', link: 'a@href', id: '@data-id', tags: ['.tag'], price: '.price' }
+  });
+
+  assert.deepStrictEqual(items, [
+    { title: 'Green tea', link: 'https://shop.test/p/1', id: '1', tags: ['organic', 'loose'], price: null },
+    { title: 'Black tea', link: 'https://other.test/p/2', id: '2', tags: [], price: null }
+  ]);
+});
+
+test('reads the item\'s own text and keeps an @ inside brackets in the selector', () => {
+  const items = extractFrom(CARDS, { items: '.card h3', fields: { name: '' } });
+  assert.deepStrictEqual(items, [{ name: 'Green tea' }, { name: 'Black tea' }]);
+
+  const titled = extractFrom(CARDS, { items: '.card', fields: { link: 'a[title="a@b"]@href' } });
+  assert.deepStrictEqual(titled, [{ link: null }, { link: 'https://other.test/p/2' }]);
+});
+
+test('returns no items when nothing matches', () => {
+  assert.deepStrictEqual(extractFrom(CARDS, { items: '.row', fields: { title: 'h3' } }), []);
+});
+
+test('validateSchema fills in maxPages', () => {
+  assert.strictEqual(validateSchema({ items: '.card', fields: { title: 'h3' } }).maxPages, 1);
+  assert.strictEqual(validateSchema({ items: '.card', fields: { title: 'h3' }, next: '.next' }).maxPages, 10);
+  assert.strictEqual(validateSchema({ items: '.card', fields: { title: 'h3' }, next: '.next', maxPages: '3' }).maxPages, 3);
+});
+
+test('validateSchema rejects malformed schemas', () => {
+  const fields = { title: 'h3' };
+  const cases = [
+    [[], /must be a JSON object/],
+    [{ fields }, /needs an "items" selector/],
+    [{ items: '  ', fields }, /needs an "items" selector/],
+    [{ items: '.card' }, /needs "fields"/],
+    [{ items: '.card', fields: {} }, /needs "fields"/],
+    [{ items: '.card', fields: { tags: ['.a', '.b'] } }, /Field "tags" must be a selector string or a one-selector array/],
+    [{ items: '.card', fields: { n: 3 } }, /Field "n"/],
+    [{ items: '.card', fields, next: '' }, /"next" must be a selector/],
+    [{ items: '.card', fields, maxPages: 0 }, /"maxPages" must be a positive number/],
+    [{ items: '.card', fields, maxPages: 'lots' }, /"maxPages" must be a positive number/]
+  ];
+
+  for (const [schema, error] of cases) {
+    assert.throws(() => validateSchema(schema), error, JSON.stringify(schema));
+  }
+});
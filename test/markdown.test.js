@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { paginate } = require('../src/markdown');
+
+test('keeps short content on one page', () => {
+  assert.deepStrictEqual(paginate('# Title\n\nBody', 100), ['# Title\n\nBody']);
+  assert.deepStrictEqual(paginate('', 100), ['']);
+});
+
+test('breaks pages between blocks, never inside one that fits', () => {
+  const pages = paginate('aaaa\n\nbbbb\n\ncccc', 10);
+
+  assert.deepStrictEqual(pages, ['aaaa\n\nbbbb', 'cccc']);
+  assert.ok(pages.every(page => page.length <= 10));
+});
+
+test('splits a long block at line breaks, then inside long lines', () => {
+  const pages = paginate('intro\n\n- one\n- two\n- three\n' + 'x'.repeat(12), 8);
+
+  assert.ok(pages.every(page => page.length <= 8), JSON.stringify(pages));
+  assert.deepStrictEqual(pages, ['intro', '- one', '- two', '- three', 'xxxxxxxx', 'xxxx']);
+});
+
+test('loses no text across pages', () => {
+  const markdown = Array.from({ length: 40 }, (_, i) => `Paragraph ${i} ${'word '.repeat(i % 7)}`.trim()).join('\n\n');
+  const pages = paginate(markdown, 60);
+
+  assert.ok(pages.length > 1);
+  assert.ok(pages.every(page => page.length <= 60));
+  assert.strictEqual(pages.join('\n\n'), markdown);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const McpServer = require('../src/mcp');
+const WebPilot = require('../src/pilot');
+const { encode } = require('../src/png');
+
+// A server over the real command list, recording the commands it runs
+function server(payload = 'ok', status = 'ok') {
+  const submitted = [];
+  const pilot = {
+    getCommands: WebPilot.prototype.getCommands,
+    submit: async (batch) => {
+      submitted.push(...batch.requests.map(request => request.command));
+      return { status, payload };
+    }
+  };
+  return { mcp: new McpServer(pilot), submitted };
+}
+
+test('turns target and value commands into tools with required parameters', () => {
+  const tool = McpServer.commandToTool('type:<selector>:<text>', 'Type text');
+
+  assert.strictEqual(tool.name, 'type');
+  assert.strictEqual(tool.description, 'Type text (web-pilot command: type:<selector>:<text>)');
+  assert.deepStrictEqual(tool.inputSchema, {
+    type: 'object',
+    properties: {
+      selector: { type: 'string', description: '<selector>' },
+      text: { type: 'string', description: '<text>' }
+    },
+    required: ['selector', 'text']
+  });
+  assert.strictEqual(McpServer.buildCommand(tool, { selector: '#q', text: 'a:b' }), 'type:#q:a:b');
+});
+
+test('names tools after their literal segments', () => {
+  const tool = McpServer.commandToTool('screenshot:baseline:<name>', 'Save a baseline');
+
+  assert.strictEqual(tool.name, 'screenshot_baseline');
+  assert.deepStrictEqual(tool.inputSchema.required, ['name']);
+  assert.strictEqual(McpServer.buildCommand(tool, { name: 'home' }), 'screenshot:baseline:home');
+});
+
+test('leaves optional arguments out when they are not given', () => {
+  const tool = McpServer.commandToTool('markdown:page:<n>[:<maxChars>]', 'Continue markdown');
+
+  assert.strictEqual(tool.name, 'markdown_page');
+  assert.deepStrictEqual(tool.inputSchema.required, ['n']);
+  assert.ok(tool.inputSchema.properties.maxChars);
+  assert.strictEqual(McpServer.buildCommand(tool, { n: 2 }), 'markdown:page:2');
+  assert.strictEqual(McpServer.buildCommand(tool, { n: 2, maxChars: '' }), 'markdown:page:2');
+  assert.strictEqual(McpServer.buildCommand(tool, { n: 2, maxChars: 4000 }), 'markdown:page:2:4000');
+});
+
+test('refuses a call without a required argument', () => {
+  const tool = McpServer.commandToTool('goto:<url>', 'Navigate');
+  assert.throws(() => McpServer.buildCommand(tool, {}), /Missing required argument: url/);
+});
+
+test('lists every command as a uniquely named tool', async () => {
+  const { mcp } = server();
+  const { tools } = await mcp.handleRequest('tools/list', {});
+  const names = tools.map(tool => tool.name);
+
+  assert.strictEqual(tools.length, Object.keys(WebPilot.prototype.getCommands()).length);
+  assert.strictEqual(new Set(names).size, names.length);
+  assert.ok(names.includes('click'));
+  assert.ok(tools.every(tool => tool.inputSchema.type === 'object' && !('segments' in tool)));
+});
+
+test('runs tool calls as pilot commands', async () => {
+  const { mcp, submitted } = server('Clicked: Sign in');
+
+  const result = await mcp.handleRequest('tools/call', { name: 'click', arguments: { selector: 'Sign in' } });
+  assert.deepStrictEqual(submitted, ['click:Sign in']);
+  assert.deepStrictEqual(result, { content: [{ type: 'text', text: 'Clicked: Sign in' }], isError: false });
+
+  const missing = await mcp.handleRequest('tools/call', { name: 'click', arguments: {} });
+  assert.strictEqual(missing.isError, true);
+  assert.match(missing.content[0].text, /^ERROR: Missing required argument: selector/);
+  await assert.rejects(mcp.handleRequest('tools/call', { name: 'fly', arguments: {} }), /Unknown tool: fly/);
+});
+
+test('inlines saved screenshots as images', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-pilot-mcp-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filepath = path.join(dir, 'shot.png');
+  fs.writeFileSync(filepath, encode({ width: 1, height: 1, data: Buffer.from([0, 0, 0, 255]) }));
+
+  const content = McpServer.toContent(`Screenshot saved: ${filepath}`);
+  assert.strictEqual(content.length, 2);
+  assert.deepStrictEqual(content[1], { type: 'image', data: fs.readFileSync(filepath).toString('base64'), mimeType: 'image/png' });
+});
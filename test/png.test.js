@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { decode, encode } = require('../src/png');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// A chunk with a zero CRC (decode doesn't check it)
+function chunk(type, body) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length, 0);
+  header.write(type, 4, 'ascii');
+  return Buffer.concat([header, body, Buffer.alloc(4)]);
+}
+
+// A PNG from already filtered rows (each starting with its filter type)
+function png({ width, height, colorType, bitDepth = 8, rows, extra = [] }) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = bitDepth;
+  ihdr[9] = colorType;
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', ihdr),
+    ...extra,
+    chunk('IDAT', zlib.deflateSync(Buffer.from(rows.flat()))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// Red channel of each pixel, by row
+const reds = ({ width, height, data }) => Array.from({ length: height }, (_, y) =>
+  Array.from({ length: width }, (_, x) => data[(y * width + x) * 4]));
+
+test('encode and decode round-trip an RGBA image', () => {
+  const image = { width: 3, height: 2, data: Buffer.from(Array.from({ length: 24 }, (_, i) => i * 10)) };
+  const decoded = decode(encode(image));
+
+  assert.strictEqual(decoded.width, 3);
+  assert.strictEqual(decoded.height, 2);
+  assert.deepStrictEqual(decoded.data, image.data);
+});
+
+test('decode undoes the Sub, Up, Average and Paeth filters', () => {
+  const image = decode(png({
+    width: 3,
+    height: 4,
+    colorType: 0,
+    rows: [
+      [1, 200, 100, 0], // Sub, wrapping past 255
+      [2, 1, 1, 1], // Up
+      [3, 0, 0, 0], // Average
+      [4, 0, 0, 0] // Paeth
+    ]
+  }));
+
+  assert.deepStrictEqual(reds(image), [[200, 44, 44], [201, 45, 45], [100, 72, 58], [100, 72, 58]]);
+});
+
+test('decode expands greyscale with alpha to RGBA', () => {
+  const { data } = decode(png({ width: 1, height: 1, colorType: 4, rows: [[0, 90, 128]] }));
+  assert.deepStrictEqual([...data], [90, 90, 90, 128]);
+});
+
+test('decode applies the palette and its transparency', () => {
+  const { data } = decode(png({
+    width: 2,
+    height: 1,
+    colorType: 3,
+    rows: [[0, 0, 1]],
+    extra: [chunk('PLTE', Buffer.from([255, 0, 0, 0, 0, 255])), chunk('tRNS', Buffer.from([0]))]
+  }));
+
+  assert.deepStrictEqual([...data], [255, 0, 0, 0, 0, 0, 255, 255]);
+});
+
+test('decode rejects other files and unsupported formats', () => {
+  assert.throws(() => decode(Buffer.from('GIF89a')), /Not a PNG file/);
+  assert.throws(
+    () => decode(png({ width: 1, height: 1, colorType: 2, bitDepth: 16, rows: [[0, 0, 0, 0, 0, 0, 0]] })),
+    /Unsupported PNG format \(bit depth 16/
+  );
+});
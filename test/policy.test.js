@@ -0,0 +1,210 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { Policy, describeActivation } = require('../src/policy');
+const WebPilot = require('../src/pilot');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'web-pilot-policy-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// A pilot on a jsdom page, with locators and evaluate running against it
+function pilotOn(html, rules, config = {}) {
+  const { document } = new JSDOM(html).window;
+  global.document = document;
+
+  const pilot = new WebPilot();
+  pilot.config = { workDir: tmp, pollInterval: 1000, timeout: 1000, ...config };
+  pilot.policy = new Policy({ confirmFile: path.join(tmp, 'outside', 'confirm.txt'), ...rules });
+  pilot.clicked = [];
+
+  const locator = (selector) => {
+    const element = () => document.querySelector(selector.replace(/^text=/, ''));
+    const first = {
+      count: async () => (element() ? 1 : 0),
+      isVisible: async () => Boolean(element()),
+      isEnabled: async () => Boolean(element()),
+      getAttribute: async name => element().getAttribute(name),
+      evaluate: async (fn, arg) => {
+        if (!element()) throw new Error(`Timeout waiting for locator('${selector}')`);
+        return fn(element(), arg);
+      },
+      click: async () => pilot.clicked.push(selector),
+      first: () => first
+    };
+    return first;
+  };
+  pilot.page = {
+    locator,
+    evaluate: async () => 'same page',
+    evaluateHandle: async getElement => ({ evaluate: async (fn, arg) => fn(getElement(), arg) }),
+    waitForFunction: async () => {},
+    waitForLoadState: async () => {}
+  };
+  return pilot;
+}
+
+test.afterEach(() => {
+  delete global.document;
+});
+
+test('checkUrl matches bare hosts, origins and URL globs', () => {
+  const policy = new Policy({
+    allow: ['*.example.com', 'https://github.com', 'https://docs.test/guide/**'],
+    deny: ['**/admin/**']
+  });
+
+  assert.strictEqual(policy.checkUrl('https://www.example.com/page'), null);
+  assert.strictEqual(policy.checkUrl('https://github.com/org/repo'), null);
+  assert.strictEqual(policy.checkUrl('https://docs.test/guide/intro'), null);
+  assert.strictEqual(policy.checkUrl('about:blank'), null);
+  assert.match(policy.checkUrl('http://github.com/'), /not in the allowed list/);
+  assert.match(policy.checkUrl('https://docs.test/blog'), /not in the allowed list/);
+  assert.match(policy.checkUrl('https://www.example.com/admin/users'), /is denied/);
+});
+
+test('rejects malformed rules and unknown confirm actions', () => {
+  assert.throws(() => new Policy({ allow: 'github.com' }), /"allow" must be an array of strings/);
+  assert.throws(() => new Policy({ confirm: ['refund'] }), /Unknown confirm action\(s\): refund/);
+});
+
+test('resolves confirmFile against the policy file and the home directory', () => {
+  const policyFile = path.join(tmp, 'rules', 'policy.json');
+  fs.mkdirSync(path.dirname(policyFile), { recursive: true });
+  fs.writeFileSync(policyFile, JSON.stringify({ confirmFile: 'ok.txt' }));
+
+  assert.strictEqual(Policy.load(policyFile).confirmFile, path.join(tmp, 'rules', 'ok.txt'));
+  assert.strictEqual(new Policy({ confirmFile: '~/ok.txt' }).confirmFile, path.join(os.homedir(), 'ok.txt'));
+  assert.strictEqual(new Policy().confirmFile, path.join(os.homedir(), '.web-pilot', 'confirm.txt'));
+});
+
+test('classifyAction prefers purchase and delete wording over submit', () => {
+  assert.strictEqual(Policy.classifyAction({ text: 'Place your order', isSubmit: true }), 'purchase');
+  assert.strictEqual(Policy.classifyAction({ text: 'Cancel my subscription', isSubmit: false }), 'delete');
+  assert.strictEqual(Policy.classifyAction({ text: 'Save', isSubmit: true }), 'submit');
+  assert.strictEqual(Policy.classifyAction({ text: 'Next', isSubmit: false }), null);
+});
+
+test('describeActivation judges Enter in a text field by its form\'s submit button', () => {
+  const { document } = new JSDOM(`
+    <form><input id="q"><textarea id="notes"></textarea><button>Buy now</button></form>`).window;
+  global.document = document;
+
+  document.getElementById('q').focus();
+  assert.deepStrictEqual(describeActivation(null, 'Enter'), { text: 'Buy now', isSubmit: true });
+  assert.deepStrictEqual(describeActivation(document.getElementById('notes'), 'Enter'), { text: '', isSubmit: false });
+  assert.deepStrictEqual(describeActivation(document.getElementById('q'), 'Space'), { text: '', isSubmit: false });
+  assert.deepStrictEqual(describeActivation(document.querySelector('button'), 'Space'), { text: 'Buy now', isSubmit: true });
+});
+
+test('blocks waitfor:js when execute is disabled, however it is written', async () => {
+  const pilot = pilotOn('<p></p>', { execute: false });
+
+  for (const command of ['waitfor:js:window.done', 'waitfor:5s:js:window.done', 'waitfor: JS :window.done']) {
+    assert.match(await pilot.checkPolicy(command), /waitfor:js: is disabled/, command);
+  }
+  assert.strictEqual(await pilot.checkPolicy('waitfor:selector:#js'), null);
+  assert.match(await pilot.checkPolicy('execute:1'), /execute: is disabled/);
+});
+
+test('holds back Enter presses that would submit, including NumpadEnter and combos', async () => {
+  const pilot = pilotOn('<form><input id="q"><button>Place order</button></form>', { confirm: ['purchase'] });
+  document.getElementById('q').focus();
+
+  for (const command of ['press:Enter', 'press:NumpadEnter', 'press:Control+Enter', 'press:Enter+a']) {
+    assert.match(await pilot.checkPolicy(command), /"Place order" looks like a purchase action/, command);
+  }
+  assert.strictEqual(await pilot.checkPolicy('press:Tab'), null);
+});
+
+test('holds back Space on a focused button, but not in a text field', async () => {
+  const pilot = pilotOn('<input id="q"><button id="buy">Buy now</button>', { confirm: ['purchase'] });
+
+  document.getElementById('buy').focus();
+  assert.match(await pilot.checkPolicy('press:Space'), /"Buy now" looks like a purchase action/);
+  assert.match(await pilot.checkPolicy('press:Shift+Space'), /"Buy now" looks like a purchase action/);
+
+  document.getElementById('q').focus();
+  assert.strictEqual(await pilot.checkPolicy('press:Space'), null);
+});
+
+test('holds back actions whose target can\'t be checked', async () => {
+  const pilot = pilotOn('<p></p>', { confirm: ['purchase'] });
+  assert.match(await pilot.checkPolicy('click:#later'), /could not check what click:#later would do/);
+
+  pilot.page.evaluateHandle = async () => { throw new Error('Execution context was destroyed'); };
+  assert.match(await pilot.checkPolicy('press:Enter'), /could not check what press:Enter would do/);
+
+  // Nothing needs confirmation, so there is nothing to check
+  assert.strictEqual(await pilotOn('<p></p>', {}).checkPolicy('click:#later'), null);
+});
+
+test('holds back typeslow text with a newline, judged by the target field', async () => {
+  const pilot = pilotOn(`
+    <input id="search">
+    <form><input id="card"><button>Pay now</button></form>`, { confirm: ['purchase'] });
+  document.getElementById('search').focus();
+
+  assert.match(await pilot.checkPolicy('typeslow:#card:4242\n1234'), /purchase action/);
+  assert.strictEqual(await pilot.checkPolicy('typeslow:#card:4242'), null);
+  assert.strictEqual(await pilot.checkPolicy('typeslow:#search:shoes\nboots'), null);
+});
+
+test('only accepts a confirmation file that predates the batch', async () => {
+  const pilot = pilotOn('<form><button id="buy">Buy</button></form>', { confirm: ['purchase'] });
+  const confirmFile = pilot.policy.confirmFile;
+  fs.mkdirSync(path.dirname(confirmFile), { recursive: true });
+
+  // Created in the same poll as the command: the LLM could have written it
+  fs.writeFileSync(confirmFile, 'yes');
+  pilot.batchReceivedAt = Date.now();
+  assert.match(await pilot.checkPolicy('click:#buy'), /needs the user's confirmation/);
+  assert.ok(fs.existsSync(confirmFile));
+
+  // Created before the batch arrived: confirms one action and is used up
+  const earlier = new Date(Date.now() - 5000);
+  fs.utimesSync(confirmFile, earlier, earlier);
+  assert.strictEqual(await pilot.checkPolicy('click:#buy'), null);
+  assert.ok(!fs.existsSync(confirmFile));
+  assert.match(await pilot.checkPolicy('click:#buy'), /needs the user's confirmation/);
+});
+
+test('refuses a confirmation file inside the working directory', async () => {
+  const pilot = new WebPilot({
+    workDir: tmp,
+    policy: { confirm: ['submit'], confirmFile: path.join(tmp, 'confirm.txt') }
+  });
+  await assert.rejects(pilot.initialize(), /is inside the working directory/);
+});
+
+test('checks the extract next-page control like a click', async () => {
+  const pilot = pilotOn('<form><a id="next">Delete and continue</a></form>', { confirm: ['delete'] });
+
+  assert.strictEqual(await pilot.goToNextPage({ next: '#next', items: '.item' }), 'next page blocked by policy');
+  assert.deepStrictEqual(pilot.clicked, []);
+  assert.strictEqual(pilot.newViolations.length, 1);
+});
+
+test('state:load skips localStorage origins the policy denies', async () => {
+  const pilot = pilotOn('<p></p>', { deny: ['https://evil.test'] });
+  const stateFile = path.join(tmp, 'state.json');
+  fs.writeFileSync(stateFile, JSON.stringify({
+    cookies: [],
+    origins: [{ origin: 'https://evil.test', localStorage: [{ name: 'token', value: 'x' }] }]
+  }));
+  pilot.getStatePath = () => stateFile;
+  pilot.context = { newPage: async () => assert.fail('opened a page for a denied origin') };
+
+  await pilot.loadState('saved');
+  assert.deepStrictEqual(pilot.newViolations, ['navigation to https://evil.test is denied']);
+});
+
+test('codes blocked commands POLICY_BLOCKED whatever the blocked URL says', () => {
+  assert.strictEqual(
+    WebPilot.getErrorCode('ERROR: Blocked by policy: navigation to https://timeout.example is denied'),
+    'POLICY_BLOCKED'
+  );
+  assert.strictEqual(WebPilot.getErrorCode('ERROR: Timeout 30000ms exceeded'), 'TIMEOUT');
+});
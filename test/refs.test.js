@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const WebPilot = require('../src/pilot');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'web-pilot-refs-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// Point the browser-side globals at a new document
+function load(html) {
+  const { window } = new JSDOM(html, { pretendToBeVisual: true, url: 'https://app.test/' });
+  window.Element.prototype.getClientRects = () => [{}]; // jsdom has no layout
+  Object.assign(global, { window, document: window.document, getComputedStyle: window.getComputedStyle, CSS: { escape: text => text } });
+  return window;
+}
+
+test.afterEach(() => {
+  for (const name of ['window', 'document', 'getComputedStyle', 'CSS']) delete global[name];
+});
+
+// A pilot whose tab is whatever document is loaded
+function pilot() {
+  const instance = new WebPilot();
+  instance.config = { workDir: tmp };
+  instance.page = {
+    url: () => document.location.href,
+    evaluate: async (fn, arg) => fn(arg),
+    locator: selector => ({
+      count: async () => document.querySelectorAll(selector).length,
+      first() { return this; },
+      evaluate: async () => ({ attribute: null, cssPath: 'button' })
+    })
+  };
+  return instance;
+}
+
+test('refs survive same-document navigations', async () => {
+  const window = load('<button>Save</button>');
+  const instance = pilot();
+  await instance.takeSnapshot();
+
+  window.history.pushState({}, '', '/settings#billing');
+  assert.strictEqual(await instance.resolveTarget('@1'), '[data-pilot-ref="1"]');
+});
+
+test('refs from a previous document or another tab are refused', async () => {
+  load('<button>Save</button>');
+  const instance = pilot();
+  await instance.takeSnapshot();
+
+  load('<button>Other</button>');
+  await assert.rejects(instance.resolveTarget('@1'), /Ref @1 not found \(the element is no longer on the page/);
+
+  await instance.takeSnapshot();
+  assert.strictEqual(await instance.resolveTarget('@2'), '[data-pilot-ref="2"]');
+  instance.page = { ...instance.page };
+  await assert.rejects(instance.resolveTarget('@2'), /not from a snapshot of this tab/);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Secrets, splitPlaceholders } = require('../src/secrets');
+const { Policy } = require('../src/policy');
+const WebPilot = require('../src/pilot');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'web-pilot-secrets-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// A secrets file with the given values
+function secretsFile(values) {
+  const filepath = path.join(tmp, `secrets-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(filepath, JSON.stringify(values));
+  return filepath;
+}
+
+test('splitPlaceholders alternates text and secret names', () => {
+  assert.deepStrictEqual(splitPlaceholders('user {{secret:USER}} pw {{secret:PW}}'), ['user ', 'USER', ' pw ', 'PW', '']);
+  assert.deepStrictEqual(splitPlaceholders('{{secret:1BAD}}'), ['{{secret:1BAD}}']);
+});
+
+test('resolves placeholders from the file first, then the environment', (t) => {
+  process.env.WEB_PILOT_TEST_TOKEN = 'from-env';
+  process.env.WEB_PILOT_TEST_PW = 'env-pw';
+  t.after(() => {
+    delete process.env.WEB_PILOT_TEST_TOKEN;
+    delete process.env.WEB_PILOT_TEST_PW;
+  });
+  const secrets = new Secrets(secretsFile({ WEB_PILOT_TEST_PW: 'file-pw' }));
+
+  assert.strictEqual(
+    secrets.resolve('{{secret:WEB_PILOT_TEST_PW}}/{{secret:WEB_PILOT_TEST_TOKEN}}'),
+    'file-pw/from-env'
+  );
+});
+
+test('reads the file on every lookup', () => {
+  const filepath = secretsFile({ PW: 'old' });
+  const secrets = new Secrets(filepath);
+  assert.strictEqual(secrets.get('PW'), 'old');
+
+  fs.writeFileSync(filepath, JSON.stringify({ PW: 'new' }));
+  assert.strictEqual(secrets.get('PW'), 'new');
+});
+
+test('reports unknown secrets and malformed files', () => {
+  const filepath = secretsFile({});
+  assert.throws(() => new Secrets(filepath).get('WEB_PILOT_MISSING'), /Unknown secret: WEB_PILOT_MISSING .*or add it to/);
+
+  fs.writeFileSync(filepath, '["not", "an", "object"]');
+  assert.throws(() => new Secrets(filepath).get('PW'), /must be a JSON object/);
+  fs.writeFileSync(filepath, '{ broken');
+  assert.throws(() => new Secrets(filepath).get('PW'), /Could not read secrets file/);
+});
+
+test('redacts used secrets in plain, URL-encoded and JSON-escaped form', () => {
+  const secrets = new Secrets(secretsFile({ PW: 'p@ss "word"/1' }));
+  assert.strictEqual(secrets.redact('p@ss "word"/1'), 'p@ss "word"/1', 'nothing is redacted before use');
+
+  secrets.resolve('{{secret:PW}}');
+  assert.strictEqual(secrets.redact('typed p@ss "word"/1'), 'typed {{secret:PW}}');
+  assert.strictEqual(secrets.redact('pw=p%40ss%20%22word%22%2F1'), 'pw={{secret:PW}}');
+  assert.strictEqual(secrets.redact('{"pw":"p@ss \\"word\\"/1"}'), '{"pw":"{{secret:PW}}"}');
+});
+
+test('redacts a secret containing another as a whole', () => {
+  const secrets = new Secrets(secretsFile({ SHORT: 'abc', LONG: 'abcdef' }));
+  secrets.resolve('{{secret:SHORT}}{{secret:LONG}}');
+
+  assert.strictEqual(secrets.redact('abcdef abc'), '{{secret:LONG}} {{secret:SHORT}}');
+});
+
+test('files the pilot saves are redacted', () => {
+  const pilot = new WebPilot();
+  pilot.secrets = new Secrets(secretsFile({ TOKEN: 'tok-123' }));
+  pilot.secrets.resolve('{{secret:TOKEN}}');
+
+  const filepath = path.join(tmp, 'page.html');
+  pilot.saveFile(filepath, '<input value="tok-123">');
+  assert.strictEqual(fs.readFileSync(filepath, 'utf-8'), '<input value="{{secret:TOKEN}}">');
+});
+
+test('log lines with page content are redacted', (t) => {
+  const pilot = new WebPilot();
+  pilot.secrets = new Secrets(secretsFile({ TOKEN: 'tok-123' }));
+  pilot.secrets.resolve('{{secret:TOKEN}}');
+  pilot.policy = new Policy({ deny: ['evil.test'] });
+  const logged = t.mock.method(console, 'log', () => {});
+
+  pilot.checkNavigation({ goto: async () => {} }, 'https://evil.test/?key=tok-123');
+  assert.deepStrictEqual(logged.mock.calls.map(call => call.arguments[0]), [
+    '🛡️  Blocked by policy: navigation to https://evil.test/?key={{secret:TOKEN}} is denied'
+  ]);
+});
+
+test('refuses a secrets file inside the working directory', async () => {
+  const pilot = new WebPilot({ workDir: tmp, profile: null, secrets: 'secrets.json' });
+  await assert.rejects(pilot.initialize(), /Secrets file .* is inside the working directory/);
+
+  const outside = new WebPilot({ workDir: path.join(tmp, 'work'), profile: null, secrets: secretsFile({}) });
+  await outside.initialize();
+  assert.ok(!outside.isInWorkDir(outside.secrets.filepath));
+});
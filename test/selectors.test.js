@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitTarget } = require('../src/selectors');
+
+test('splits at the first colon after a plain selector', () => {
+  assert.deepStrictEqual(splitTarget('#name:Ada Lovelace'), ['#name', 'Ada Lovelace']);
+  assert.deepStrictEqual(splitTarget('#time:10:30'), ['#time', '10:30']);
+  assert.deepStrictEqual(splitTarget('#name'), ['#name', '']);
+});
+
+test('keeps pseudo-classes and pseudo-elements in the selector', () => {
+  assert.deepStrictEqual(splitTarget('li:nth-child(2):#trash'), ['li:nth-child(2)', '#trash']);
+  assert.deepStrictEqual(splitTarget('input:not([disabled]):hello'), ['input:not([disabled])', 'hello']);
+  assert.deepStrictEqual(splitTarget('a:hover.menu:text'), ['a:hover.menu', 'text']);
+  assert.deepStrictEqual(splitTarget('input:focus:typed'), ['input:focus', 'typed']);
+  assert.deepStrictEqual(splitTarget('input::placeholder:x'), ['input::placeholder', 'x']);
+  assert.deepStrictEqual(splitTarget('button:has-text("Next: step 2"):now'), ['button:has-text("Next: step 2")', 'now']);
+});
+
+test('ignores colons inside quotes and brackets', () => {
+  assert.deepStrictEqual(splitTarget('role=button[name="Next: step 2"]:go'), ['role=button[name="Next: step 2"]', 'go']);
+  assert.deepStrictEqual(splitTarget("[title='a:b']:value"), ["[title='a:b']", 'value']);
+});
+
+test('treats text starting with a pseudo-class word as the value', () => {
+  assert.deepStrictEqual(splitTarget('#msg:link to the docs'), ['#msg', 'link to the docs']);
+  assert.deepStrictEqual(splitTarget('#q:hover over me'), ['#q', 'hover over me']);
+  assert.deepStrictEqual(splitTarget('#a:focus on this'), ['#a', 'focus on this']);
+  assert.deepStrictEqual(splitTarget('#note:empty box'), ['#note', 'empty box']);
+  assert.deepStrictEqual(splitTarget('#status:active'), ['#status', 'active']);
+});
+
+test('falls back to the first colon when quotes or brackets are unbalanced', () => {
+  assert.deepStrictEqual(splitTarget('#say:it\'s fine'), ['#say', 'it\'s fine']);
+  assert.deepStrictEqual(splitTarget('#eq:(1 + 2'), ['#eq', '(1 + 2']);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const EventEmitter = require('events');
+const ControlServer = require('../src/server');
+
+// POST a body to the server and collect the response
+function post(port, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      port,
+      method: 'POST',
+      path: '/command',
+      headers: { Authorization: 'Bearer secret-token', 'Content-Type': 'text/plain' }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString()) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+test('answers an oversize command body with 413', async (t) => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-pilot-server-'));
+  const pilot = new EventEmitter();
+  pilot.config = { workDir };
+  pilot.submit = async () => assert.fail('an oversize body was run');
+  const server = new ControlServer(pilot, { port: 0, token: 'secret-token' });
+  await server.start();
+  t.after(async () => {
+    await server.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const response = await post(server.port, 'x'.repeat(1024 * 1024 + 1));
+  assert.strictEqual(response.status, 413);
+  assert.strictEqual(response.body.error.code, 'PAYLOAD_TOO_LARGE');
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const { readTables, toRecords, toCsv, describeTable } = require('../src/tables');
+
+// readTables runs in the browser, so give it a page to read
+function tablesOf(html, rootSelector = null) {
+  const { document } = new JSDOM(html).window;
+  global.document = document;
+  try {
+    return readTables(rootSelector ? document.querySelector(rootSelector) : undefined);
+  } finally {
+    delete global.document;
+  }
+}
+
+test('expands colspan and rowspan into every covered cell', () => {
+  const [table] = tablesOf(`
+    <table>
+      <thead><tr><th>Name</th><th colspan="2">Score</th></tr></thead>
+      <tbody>
+        <tr><td rowspan="2">Ada</td><td>1</td><td>2</td></tr>
+        <tr><td>3</td><td>4</td></tr>
+      </tbody>
+    </table>`);
+
+  assert.deepStrictEqual(table.headers, ['Name', 'Score', 'Score']);
+  assert.deepStrictEqual(table.rows, [['Ada', '1', '2'], ['Ada', '3', '4']]);
+});
+
+test('combines stacked header rows and skips repeated spanned headers', () => {
+  const [table] = tablesOf(`
+    <table>
+      <tr><th rowspan="2">Region</th><th colspan="2">Q1</th></tr>
+      <tr><th>Revenue</th><th>Cost</th></tr>
+      <tr><td>North</td><td>10</td><td>4</td></tr>
+    </table>`);
+
+  assert.deepStrictEqual(table.headers, ['Region', 'Q1 / Revenue', 'Q1 / Cost']);
+  assert.deepStrictEqual(table.rows, [['North', '10', '4']]);
+});
+
+test('names columns when there is no header row', () => {
+  const [table] = tablesOf('<table><caption>Plain</caption><tr><td>a</td><td>b</td></tr></table>');
+
+  assert.strictEqual(table.caption, 'Plain');
+  assert.deepStrictEqual(table.headers, ['Column 1', 'Column 2']);
+  assert.deepStrictEqual(table.rows, [['a', 'b']]);
+});
+
+test('reads ARIA grids, honouring aria-colindex', () => {
+  const [grid] = tablesOf(`
+    <div role="grid" aria-label="People">
+      <div role="row"><span role="columnheader">Name</span><span role="columnheader">City</span></div>
+      <div role="row"><span role="gridcell">Ada</span><span role="gridcell">London</span></div>
+      <div role="row"><span role="gridcell" aria-colindex="2">Paris</span></div>
+    </div>`);
+
+  assert.strictEqual(grid.kind, 'grid');
+  assert.strictEqual(grid.caption, 'People');
+  assert.deepStrictEqual(grid.headers, ['Name', 'City']);
+  assert.deepStrictEqual(grid.rows, [['Ada', 'London'], ['', 'Paris']]);
+});
+
+test('reads only the table at a root element, keeping its page index', () => {
+  const tables = tablesOf(`
+    <table><tr><td>first</td></tr></table>
+    <section id="second"><table><tr><td>second</td></tr></table></section>`, '#second');
+
+  assert.strictEqual(tables.length, 1);
+  assert.strictEqual(tables[0].index, 2);
+  assert.deepStrictEqual(tables[0].rows, [['second']]);
+});
+
+test('toRecords makes duplicate headers unique', () => {
+  const table = { headers: ['Score', 'Score'], rows: [['1', '2']] };
+  assert.deepStrictEqual(toRecords(table), [{ Score: '1', 'Score (2)': '2' }]);
+});
+
+test('toCsv quotes commas, quotes and newlines', () => {
+  const table = { headers: ['Name', 'Note'], rows: [['Ada, Countess', 'said "hi"\nthen left']] };
+  assert.strictEqual(toCsv(table), 'Name,Note\n"Ada, Countess","said ""hi""\nthen left"\n');
+});
+
+test('describeTable summarizes size, caption and kind', () => {
+  const table = { index: 3, caption: 'Staff', kind: 'grid', headers: ['A', 'B'], rows: [['1', '2']] };
+  assert.strictEqual(describeTable(table), 'Table 3 "Staff" [role=grid]: 1 rows x 2 columns (A, B)');
+});